@@ -0,0 +1,71 @@
+/**
+ * Activity Log
+ * The last few response turns - which message each one answered, the model,
+ * every tool call with its input and result, and the reply - for the
+ * dashboard. Kept in memory only: it's a window onto recent activity, the
+ * conversation itself lives in the conversation store.
+ */
+
+const MAX_TURNS = 100
+const MAX_RESULT_CHARS = 2000
+
+const turns = []
+
+function truncate(text, max = MAX_RESULT_CHARS) {
+  return text.length > max ? `${text.substring(0, max)}… (${text.length - max} more chars)` : text
+}
+
+/**
+ * Start recording a turn that answers `message` for `contactId`. Returns the
+ * turn, which the other functions here fill in.
+ */
+export function startTurn(contactId, message) {
+  const turn = {
+    id: `turn_${Date.now()}`,
+    contactId,
+    messageId: message.id,
+    message: truncate(message.content, 500),
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    kind: 'claude',
+    models: [],
+    toolCalls: [],
+    reply: null,
+    error: null
+  }
+
+  turns.push(turn)
+  if (turns.length > MAX_TURNS) {
+    turns.shift()
+  }
+  return turn
+}
+
+export function recordModel(turn, model) {
+  if (!turn.models.includes(model)) turn.models.push(model)
+}
+
+export function recordToolCall(turn, { name, input, result, isError = false, durationMs = null }) {
+  turn.toolCalls.push({
+    name,
+    input,
+    result: truncate(typeof result === 'string' ? result : JSON.stringify(result) ?? 'null'),
+    isError,
+    durationMs
+  })
+}
+
+export function finishTurn(turn, { reply = null, error = null, kind = turn.kind } = {}) {
+  turn.finishedAt = new Date().toISOString()
+  turn.kind = kind
+  turn.reply = reply && truncate(reply, 1000)
+  turn.error = error
+}
+
+// Newest first, optionally for one contact
+export function getRecentTurns({ contactId = null, limit = 20 } = {}) {
+  return turns
+    .filter(turn => !contactId || turn.contactId === contactId)
+    .slice(-limit)
+    .reverse()
+}
@@ -0,0 +1,119 @@
+/**
+ * Admin API
+ * Token-protected HTTP endpoints for operating the agent. Every request needs
+ * `Authorization: Bearer <ADMIN_TOKEN>` - or, for browsers (the dashboard),
+ * HTTP Basic auth with ADMIN_TOKEN as the password. While ADMIN_TOKEN is
+ * unset the admin API, /status included, answers 503.
+ *
+ * The agent supplies the routes ("METHOD /path" -> handler). A handler gets
+ * { body, query } - body is the parsed JSON for POSTs - and returns the JSON
+ * to send back (or htmlPage(html) for a page), or throws an error made with
+ * httpError() for a specific status. Anything else it throws becomes a 500.
+ */
+
+import { createHash, timingSafeEqual } from 'crypto'
+import { config } from './config.js'
+
+const ADMIN_TOKEN = config.adminToken
+const MAX_ADMIN_BODY = 16 * 1024
+const HTML = Symbol('html')
+
+export function httpError(statusCode, message) {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// Handler result that's sent as text/html instead of JSON
+export function htmlPage(html) {
+  return { [HTML]: html }
+}
+
+// Bearer token, or the password of Basic auth (any user name)
+function presentedToken(req) {
+  const [scheme, value = ''] = (req.headers.authorization || '').split(/\s+/, 2)
+  if (/^bearer$/i.test(scheme)) return value
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, 'base64').toString('utf-8')
+    return decoded.substring(decoded.indexOf(':') + 1)
+  }
+  return null
+}
+
+// Compare digests so the check takes the same time whatever the token length
+function isAuthorized(req) {
+  const token = presentedToken(req)
+  if (!ADMIN_TOKEN || !token) return false
+
+  const digest = value => createHash('sha256').update(value).digest()
+  return timingSafeEqual(digest(token), digest(ADMIN_TOKEN))
+}
+
+export function isAdminConfigured() {
+  return !!ADMIN_TOKEN
+}
+
+/**
+ * Returns handle(req, res) -> true if the request matched an admin route.
+ * `readBody(req, limit)` reads the raw request body (shared with the webhook).
+ */
+export function createAdminApi(routes, { readBody }) {
+  const reply = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      // Lets a browser prompt for the token
+      ...(status === 401 && { 'WWW-Authenticate': 'Basic realm="Poke Agent", charset="UTF-8"' })
+    })
+    res.end(JSON.stringify(body, null, 2))
+  }
+
+  async function dispatch(req, res, handler, query) {
+    if (!ADMIN_TOKEN) {
+      return reply(res, 503, { error: 'Admin API not configured (ADMIN_TOKEN is not set)' })
+    }
+    if (!isAuthorized(req)) {
+      return reply(res, 401, { error: 'Unauthorized' })
+    }
+
+    try {
+      let body = {}
+      if (req.method === 'POST') {
+        const raw = (await readBody(req, MAX_ADMIN_BODY)).toString('utf-8')
+        try {
+          body = raw.trim() ? JSON.parse(raw) : {}
+        } catch {
+          throw httpError(400, 'Body must be JSON')
+        }
+      }
+
+      const result = await handler({ body, query })
+      if (result?.[HTML] !== undefined) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' })
+        res.end(result[HTML])
+      } else {
+        reply(res, 200, result)
+      }
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`❌ Admin ${req.method} ${req.url} failed:`, error.message)
+      }
+      reply(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal error' })
+    }
+  }
+
+  return function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost')
+    const handler = routes[`${req.method} ${url.pathname}`]
+
+    if (!handler) {
+      if (!url.pathname.startsWith('/admin/')) return false
+      // Don't reveal which admin routes exist to unauthenticated callers
+      const authorized = isAuthorized(req)
+      reply(res, authorized ? 404 : 401, { error: authorized ? 'Not found' : 'Unauthorized' })
+      return true
+    }
+
+    dispatch(req, res, handler, Object.fromEntries(url.searchParams))
+    return true
+  }
+}
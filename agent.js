@@ -1,6 +1,6 @@
 /**
  * Cloud-Based Always-On Claude Agent for Poke
- * - Polls GitHub for new messages every 2 seconds
+ * - Receives new messages through a signed webhook (or polls GitHub as a fallback)
  * - Has full access to all your context files
  * - Can proactively send important updates
  * - Runs 24/7 in the cloud
@@ -10,492 +10,472 @@ import { readFileSync } from 'fs'
 import { join, dirname } from 'path'
 import { fileURLToPath } from 'url'
 import { createServer } from 'http'
-import { ComposioToolSet } from 'composio-core'
+import { createHash, createHmac, timingSafeEqual } from 'crypto'
+import {
+  readGitHubFile,
+  writeGitHubFile,
+  listGitHubRepos,
+  listGitHubDirectory,
+  searchGitHubCode,
+  clearConditionalCache
+} from './github.js'
+import { getGitHubAuthStatus } from './github-app-auth.js'
+import { config, assertValidConfig, getRedactedConfig } from './config.js'
+import {
+  chooseTier,
+  routeRequest,
+  getModelOverride,
+  handleModelCommand,
+  getModelRoutingStatus
+} from './model-router.js'
+import { recordUsage, flushUsage, getBudgetStatus, getTodayUsage, formatUsageReport, cacheHitRate, formatTokens } from './usage.js'
+import { metrics, fetchWithMetrics, renderMetrics } from './metrics.js'
+import { installLogger, runWithLogContext, addLogContext, recordError, getRecentErrors } from './logger.js'
+import { createAdminApi, httpError, htmlPage, isAdminConfigured } from './admin-api.js'
+import { startTurn, recordModel, recordToolCall, finishTurn, getRecentTurns } from './activity-log.js'
+import { renderDashboard } from './dashboard.js'
+import {
+  getToolPolicy,
+  formatConfirmationRequest,
+  parseConfirmationReply,
+  savePendingAction,
+  takePendingAction
+} from './tool-policy.js'
+import {
+  registerToolProvider,
+  loadToolPlugins,
+  getToolProvider,
+  getAllProviderTools,
+  executeProviderTool,
+  isSerialTool,
+  clearToolCaches,
+  getToolProviderStatus
+} from './tool-registry.js'
+import { createConversationStore } from './conversation-store.js'
+import { loadContext, clearContextCache } from './context-loader.js'
+import { getContextIndex, selectContext, clearContextIndexCache } from './context-index.js'
+import { getConversationSummary, getRecentMessages } from './conversation-memory.js'
+import { getStateStoreName } from './state-store.js'
+import { getMemoryTools, executeMemoryAction } from './memory-store.js'
+import {
+  SCHEDULER_TIMEZONE,
+  formatInTimeZone,
+  getSchedulerTools,
+  executeSchedulerAction,
+  runDueJobs,
+  listScheduledMessages
+} from './scheduler.js'
+import { deliverMessage, sendContinuation } from './sms-delivery.js'
+import { registerSignalProvider, runProactiveEngine, getProactiveStatus } from './proactive-engine.js'
+import {
+  loadContacts,
+  getContact,
+  getPrimaryContact,
+  resolveContact,
+  isToolAllowed,
+  contactStateName,
+  clearContactsCache
+} from './contacts.js'
+import {
+  registerOutboxHandler,
+  enqueueOutbox,
+  hasOutboxAction,
+  processOutbox,
+  getOutboxStatus
+} from './outbox.js'
+import {
+  createCalendarProvider,
+  createGmailProvider,
+  createTodoistProvider,
+  createLocalTaskProvider,
+  createRepoActivityProvider,
+  createContextCheckInProvider
+} from './signal-providers.js'
+import {
+  checkCompletedTasks,
+  listTasks,
+  cancelTask,
+  retryTask,
+  formatTaskStatus,
+  getTaskTools,
+  executeTaskAction
+} from './task-ledger.js'
 
 const __dirname = dirname(fileURLToPath(import.meta.url))
 
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY || process.env.ANTHROPIC_API_KEY
-const POKE_API_KEY = process.env.POKE_API_KEY
-const GITHUB_TOKEN = process.env.GITHUB_TOKEN
-const COMPOSIO_API_KEY = process.env.COMPOSIO_API_KEY || 'ak_Weup7L-gmNlw1JJZooP2'
-const TODOIST_API_KEY = process.env.TODOIST_API_KEY || '2ea5be82d08c1d5274323b1aba8ccf5067456a28'
-const POLL_INTERVAL = 2000 // 2 seconds for faster response times
+// All settings come from config.js (env + optional config file)
+const CLAUDE_API_KEY = config.claudeApiKey
+const POKE_API_KEY = config.pokeApiKey
+const POLL_INTERVAL = config.pollInterval
+const WEBHOOK_SECRET = config.webhookSecret
+// 'webhook' waits for POST /webhook/inbound, 'poll' re-loads the conversation store every POLL_INTERVAL
+const INBOUND_MODE = config.inboundMode
+// Owns the GitHub repos and the Mac, and gets the proactive texts
+const OWNER_FIRST_NAME = config.ownerName.split(' ')[0]
+const PROACTIVE_CHECK_INTERVAL = 15 * 60 * 1000 // 15 minutes
+const SCHEDULER_TICK_INTERVAL = 30 * 1000 // 30 seconds
+const OUTBOX_TICK_INTERVAL = 15 * 1000 // 15 seconds
+const USAGE_FLUSH_INTERVAL = 60 * 1000 // 1 minute
+// Retrieval query for proactive checks - there's no conversation to match against
+const PROACTIVE_CONTEXT_QUERY = 'deadline due upcoming milestone reminder goal project sprint meeting this week today'
+const MAX_WEBHOOK_BODY = 64 * 1024
+const DASHBOARD_MESSAGES = 40
+const TOOL_LOOP_MAX_ITERATIONS = config.toolLoopMaxIterations
+const TOOL_LOOP_TIMEOUT = config.toolLoopTimeoutMs
+const TOOL_RESULT_MAX_CHARS = config.toolResultMaxChars
+// Sent with the tool results when a tool loop is stopped early
+const TOOL_LIMIT_NOTE = 'You have used all the tool calls available for this message. Do not call any more tools: reply now with what you have found so far, and say briefly what is left unfinished.'
+const CUT_SHORT_FALLBACK = 'Sorry - I ran out of room before I could finish that. Could you break it into smaller asks?'
+
+
+// contact id -> { contact, store, lastProcessedVersion }. Each contact has their
+// own text thread (POKE_MESSAGES.md / threads/<id>.md on GitHub or a local JSONL file)
+const threads = new Map()
 
-// Simple GitHub headers with personal access token
-function getGitHubHeaders() {
-  return {
-    'Authorization': `Bearer ${GITHUB_TOKEN}`,
-    'Accept': 'application/vnd.github.v3+json'
-  }
-}
-
-const GITHUB_REPO = 'calebnewtonusc/claude-context'
-const MESSAGE_FILE = 'POKE_MESSAGES.md'
-const CONTEXT_REPO = 'calebnewtonusc/claude-context'
-const TASKS_FILE = 'TASKS.md'
-
-// Cache for tools
-let todoistTools = null
-let todoistToolsLastFetched = null
-let composioTools = null
-let composioToolsLastFetched = null
-const TOOLS_CACHE_DURATION = 60 * 60 * 1000 // 1 hour
-
-// Initialize Composio toolset
-const composioToolset = new ComposioToolSet({ apiKey: COMPOSIO_API_KEY })
-
-let lastProcessedHash = null
 let isProcessing = false
-let lastProactiveMessage = Date.now()
+// { since, reason } while an operator has paused the agent (see the admin API)
+let paused = null
 let lastError = null
 let lastProcessTime = null
 let processCount = 0
 
-// ============================================================================
-// GITHUB FULL ACCESS - Read/Write ANY of Caleb's repos
-// ============================================================================
-
-async function readGitHubFile(repo, filePath, ref = 'main') {
-  try {
-    const headers = getGitHubHeaders()
-    const response = await fetch(
-      `https://api.github.com/repos/${repo}/contents/${filePath}${ref ? `?ref=${ref}` : ''}`,
-      { headers }
-    )
-
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` }
-    }
-
-    const data = await response.json()
-    const content = Buffer.from(data.content, 'base64').toString('utf-8')
-
-    return {
-      success: true,
-      content,
-      sha: data.sha,
-      path: data.path,
-      size: data.size
-    }
-  } catch (error) {
-    return { success: false, error: error.message }
-  }
-}
-
-async function writeGitHubFile(repo, filePath, content, message, sha = null) {
-  try {
-    const body = {
-      message,
-      content: Buffer.from(content).toString('base64')
-    }
-
-    if (sha) {
-      body.sha = sha
-    }
-
-    const response = await fetch(
-      `https://api.github.com/repos/${repo}/contents/${filePath}`,
-      {
-        method: 'PUT',
-        headers: {
-          ...getGitHubHeaders(),
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-      }
-    )
-
-    if (!response.ok) {
-      const error = await response.text()
-      return { success: false, error: `HTTP ${response.status}: ${error}` }
-    }
-
-    const data = await response.json()
-    return {
-      success: true,
-      sha: data.content.sha,
-      url: data.content.html_url
-    }
-  } catch (error) {
-    return { success: false, error: error.message }
+// Inbound webhook queue of { contactId, message } (message is null for retries)
+const inboundQueue = []
+const recentMessageIds = new Set()
+const MAX_RECENT_MESSAGE_IDS = 500
+// A failed webhook turn is retried with backoff: 10s, 20s, 40s... up to 5 minutes
+const INBOUND_RETRY_BASE = 10 * 1000
+const INBOUND_RETRY_MAX = 5 * 60 * 1000
+const MAX_INBOUND_RETRIES = 8
+
+function getThread(contact) {
+  let thread = threads.get(contact.id)
+  if (!thread) {
+    thread = { contact, store: createConversationStore(undefined, contact), lastProcessedVersion: null }
+    threads.set(contact.id, thread)
   }
+  // Registry edits (persona, tools...) apply on the next message
+  thread.contact = contact
+  return thread
 }
 
-async function listGitHubRepos() {
-  try {
-    const response = await fetch(
-      'https://api.github.com/user/repos?per_page=100&sort=updated',
-      {
-        headers: {
-          ...getGitHubHeaders()
-        }
-      }
-    )
-
-    if (!response.ok) {
-      return { success: false, error: `HTTP ${response.status}` }
-    }
-
-    const repos = await response.json()
-    return {
-      success: true,
-      repos: repos.map(r => ({
-        name: r.full_name,
-        description: r.description,
-        private: r.private,
-        updated: r.updated_at,
-        language: r.language,
-        url: r.html_url
-      }))
-    }
-  } catch (error) {
-    return { success: false, error: error.message }
+// Outbox payloads from before the contacts registry have no contactId
+async function contactFor(contactId) {
+  const contact = contactId ? await getContact(contactId) : await getPrimaryContact()
+  if (!contact) {
+    throw new Error(`Unknown contact ${contactId}`)
   }
+  return contact
 }
 
-// Load full context from GitHub
 // ============================================================================
-// TODOIST API - Direct REST API integration
+// GITHUB TOOLS - Read/write ANY of the owner's repos from inside the tool loop
 // ============================================================================
 
-// Todoist API helpers
-async function todoistRequest(endpoint, method = 'GET', body = null) {
-  const response = await fetch(`https://api.todoist.com/rest/v2/${endpoint}`, {
-    method,
-    headers: {
-      'Authorization': `Bearer ${TODOIST_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: body ? JSON.stringify(body) : null
-  })
-
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`Todoist API error: ${response.status} - ${error}`)
-  }
-
-  if (response.status === 204) return { success: true }
-  return await response.json()
-}
-
-async function getTodoistTools() {
-  // Return cached tools if still fresh
-  if (todoistTools && todoistToolsLastFetched &&
-      Date.now() - todoistToolsLastFetched < TOOLS_CACHE_DURATION) {
-    return todoistTools
-  }
-
-  // Define Todoist tools in Claude format
-  const tools = [
+function getGitHubTools() {
+  return [
     {
-      name: 'todoist_create_task',
-      description: 'Create a new task in Todoist. Use this to add tasks to the user\'s todo list.',
+      name: 'github_read_file',
+      description: `Read a file from any of ${OWNER_FIRST_NAME}'s GitHub repos. Returns the file content.`,
       input_schema: {
         type: 'object',
         properties: {
-          content: {
+          repo: {
             type: 'string',
-            description: 'The task content/title'
+            description: 'Repository as owner/name, e.g. "calebnewtonusc/Personal-Website"'
           },
-          description: {
+          path: {
             type: 'string',
-            description: 'A detailed description of the task'
+            description: 'File path within the repo, e.g. "README.md"'
           },
-          due_string: {
+          ref: {
             type: 'string',
-            description: 'Human-friendly due date like "tomorrow", "next Monday", "Jan 23"'
-          },
-          priority: {
-            type: 'integer',
-            description: 'Priority from 1 (normal) to 4 (urgent)',
-            enum: [1, 2, 3, 4]
-          },
-          labels: {
-            type: 'array',
-            items: { type: 'string' },
-            description: 'Labels to add to the task'
+            description: 'Branch, tag or commit (defaults to the repo\'s default branch)'
           }
         },
-        required: ['content']
+        required: ['repo', 'path']
       }
     },
     {
-      name: 'todoist_get_tasks',
-      description: 'Get active tasks from Todoist. Use this to check the user\'s todo list.',
+      name: 'github_write_file',
+      description: 'Create or overwrite a file in a GitHub repo with a commit. Always read the file first when updating so you keep the parts you are not changing.',
       input_schema: {
         type: 'object',
         properties: {
-          filter: {
+          repo: {
+            type: 'string',
+            description: 'Repository as owner/name'
+          },
+          path: {
+            type: 'string',
+            description: 'File path within the repo'
+          },
+          content: {
             type: 'string',
-            description: 'Filter tasks (e.g., "today", "p1" for priority 1, or a project name)'
+            description: 'The complete new file content'
+          },
+          message: {
+            type: 'string',
+            description: 'Commit message'
           }
-        }
+        },
+        required: ['repo', 'path', 'content', 'message']
       }
     },
     {
-      name: 'todoist_complete_task',
-      description: 'Mark a task as complete in Todoist.',
+      name: 'github_list_repos',
+      description: `List ${OWNER_FIRST_NAME}'s GitHub repos, most recently updated first.`,
       input_schema: {
         type: 'object',
-        properties: {
-          id: {
-            type: 'string',
-            description: 'The task ID to complete'
-          }
-        },
-        required: ['id']
+        properties: {}
       }
     },
     {
-      name: 'todoist_update_task',
-      description: 'Update an existing task in Todoist.',
+      name: 'github_list_directory',
+      description: 'List the files and folders in a directory of a GitHub repo. Use this to browse code structure.',
       input_schema: {
         type: 'object',
         properties: {
-          id: {
+          repo: {
             type: 'string',
-            description: 'The task ID to update'
+            description: 'Repository as owner/name'
           },
-          content: {
+          path: {
             type: 'string',
-            description: 'New task content/title'
+            description: 'Directory path (omit or "" for the repo root)'
           },
-          description: {
+          ref: {
             type: 'string',
-            description: 'New task description'
-          },
-          due_string: {
+            description: 'Branch, tag or commit (defaults to the repo\'s default branch)'
+          }
+        },
+        required: ['repo']
+      }
+    },
+    {
+      name: 'github_search_code',
+      description: `Search code across all of ${OWNER_FIRST_NAME}'s repos, or within one repo. Returns matching files with snippets.`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: {
             type: 'string',
-            description: 'New due date'
+            description: 'Search terms, e.g. "API_KEY" or "useEffect language:typescript"'
           },
-          priority: {
-            type: 'integer',
-            description: 'New priority (1-4)'
+          repo: {
+            type: 'string',
+            description: 'Limit the search to one repository (owner/name)'
           }
         },
-        required: ['id']
+        required: ['query']
       }
     }
   ]
-
-  todoistTools = tools
-  todoistToolsLastFetched = Date.now()
-  console.log(`   ✓ Loaded ${tools.length} Todoist tools`)
-
-  return tools
 }
 
-async function executeTodoistAction(toolName, toolInput) {
-  try {
-    console.log(`   🔧 Executing ${toolName}...`)
-
-    let result
-    switch (toolName) {
-      case 'todoist_create_task':
-        result = await todoistRequest('tasks', 'POST', toolInput)
-        break
+async function executeGitHubAction(toolName, toolInput, { signal } = {}) {
+  console.log(`   🔧 Executing ${toolName}...`)
+
+  let result
+  switch (toolName) {
+    case 'github_read_file':
+      console.log(`📖 Reading from GitHub: ${toolInput.repo}/${toolInput.path}`)
+      result = await readGitHubFile(toolInput.repo, toolInput.path, toolInput.ref || null, { signal })
+      break
+
+    case 'github_write_file': {
+      console.log(`✍️  Writing to GitHub: ${toolInput.repo}/${toolInput.path}`)
+      const existing = await readGitHubFile(toolInput.repo, toolInput.path, null, { signal })
+      result = await writeGitHubFile(
+        toolInput.repo,
+        toolInput.path,
+        toolInput.content,
+        toolInput.message,
+        existing.success ? existing.sha : null,
+        { signal }
+      )
+      break
+    }
 
-      case 'todoist_get_tasks':
-        const filter = toolInput.filter ? `?filter=${encodeURIComponent(toolInput.filter)}` : ''
-        result = await todoistRequest(`tasks${filter}`)
-        break
+    case 'github_list_repos':
+      result = await listGitHubRepos({ signal })
+      break
 
-      case 'todoist_complete_task':
-        await todoistRequest(`tasks/${toolInput.id}/close`, 'POST')
-        result = { success: true, message: `Task ${toolInput.id} completed` }
-        break
+    case 'github_list_directory':
+      result = await listGitHubDirectory(toolInput.repo, toolInput.path || '', toolInput.ref || null, { signal })
+      break
 
-      case 'todoist_update_task':
-        const { id, ...updateData } = toolInput
-        result = await todoistRequest(`tasks/${id}`, 'POST', updateData)
-        break
+    case 'github_search_code':
+      result = await searchGitHubCode(toolInput.query, { repo: toolInput.repo || null, signal })
+      break
 
-      default:
-        throw new Error(`Unknown tool: ${toolName}`)
-    }
+    default:
+      throw new Error(`Unknown tool: ${toolName}`)
+  }
 
-    console.log(`   ✓ ${toolName} completed`)
-    return result
-  } catch (error) {
-    console.error(`   ❌ Error executing ${toolName}:`, error.message)
-    throw error
+  // Helpers report failures as { success: false } - surface them as tool errors
+  if (!result.success) {
+    console.error(`   ❌ Error executing ${toolName}:`, result.error)
+    throw new Error(result.error)
   }
+
+  console.log(`   ✓ ${toolName} completed`)
+  return result
 }
 
 // ============================================================================
-// COMPOSIO TOOLS - Google Calendar, Gmail, Drive, etc.
+// TOOL PROVIDERS - built-ins here, integrations in plugins/ (see tool-registry.js)
 // ============================================================================
 
-async function getComposioTools() {
-  // Return cached tools if still fresh
-  if (composioTools && composioToolsLastFetched &&
-      Date.now() - composioToolsLastFetched < TOOLS_CACHE_DURATION) {
-    return composioTools
-  }
-
-  try {
-    console.log('   🔧 Loading Composio tools (Google Calendar, Gmail, etc.)...')
-
-    const composioSchema = await composioToolset.getToolsSchema({
-      apps: ['googlecalendar', 'gmail', 'googledrive'],
-      // Get key actions for each app
-      actions: [
-        // Google Calendar
-        'GOOGLECALENDAR_FIND_EVENT',
-        'GOOGLECALENDAR_CREATE_EVENT',
-        'GOOGLECALENDAR_QUICK_ADD_EVENT',
-        // Gmail
-        'GMAIL_SEARCH_EMAILS',
-        'GMAIL_SEND_EMAIL',
-        // Google Drive (if needed later)
-        // 'GOOGLEDRIVE_FIND_FILE',
-        // 'GOOGLEDRIVE_CREATE_FILE'
-      ]
-    })
+function registerBuiltinToolProviders() {
+  registerToolProvider({
+    name: 'github',
+    getTools: async () => getGitHubTools(),
+    execute: executeGitHubAction,
+    cacheTtl: 0,
+    serialTools: ['github_write_file']
+  })
+  registerToolProvider({
+    name: 'tasks',
+    getTools: async () => getTaskTools(),
+    execute: executeTaskAction,
+    cacheTtl: 0,
+    serialTools: ['create_local_task']
+  })
+  registerToolProvider({
+    name: 'memory',
+    getTools: async () => getMemoryTools(),
+    execute: (toolName, input, { message, contact, signal }) => executeMemoryAction(toolName, input, { message, repo: contact.contextRepo, signal }),
+    cacheTtl: 0,
+    serialTools: ['remember_fact', 'forget_fact']
+  })
+  registerToolProvider({
+    name: 'scheduler',
+    getTools: async () => getSchedulerTools(),
+    execute: (toolName, input, { message, contact }) => executeSchedulerAction(toolName, input, { message, contact }),
+    cacheTtl: 0,
+    serialTools: ['schedule_message', 'cancel_scheduled']
+  })
+}
 
-    // Convert Composio format to Claude format
-    const claudeTools = composioSchema.map(tool => ({
-      name: tool.name.toLowerCase(),
-      description: tool.description || `Execute ${tool.name}`,
-      input_schema: tool.parameters || {
-        type: 'object',
-        properties: {},
-        required: []
-      }
-    }))
+// Every provider's tools, limited to the ones `contact` is allowed to use and not denied by policy
+async function getAllTools(contact) {
+  const tools = await getAllProviderTools()
+  return tools.filter(tool => isToolAllowed(contact, tool.name) && getToolPolicy(tool.name) !== 'deny')
+}
 
-    composioTools = claudeTools
-    composioToolsLastFetched = Date.now()
-    console.log(`   ✓ Loaded ${claudeTools.length} Composio tools`)
+// Huge results (whole files, long searches) would crowd everything else out of the prompt
+function truncateToolResult(content) {
+  if (content.length <= TOOL_RESULT_MAX_CHARS) return content
+  return `${content.substring(0, TOOL_RESULT_MAX_CHARS)}\n[Truncated: showing ${TOOL_RESULT_MAX_CHARS} of ${content.length} characters]`
+}
 
-    return claudeTools
-  } catch (error) {
-    console.error('   ⚠️  Could not load Composio tools:', error.message)
-    return []
+// Run one tool call and return its tool_result block. Calls the contact may
+// not make, or that policy denies, get an error result instead of running.
+async function executeToolCall(toolUse, { contact, message, isComplexRequest, turn }) {
+  console.log(`   Executing: ${toolUse.name}`)
+  const refusal = !isToolAllowed(contact, toolUse.name)
+    ? { error: `${toolUse.name} is not available for ${contact.name}`, logged: 'not allowed for this contact' }
+    : getToolPolicy(toolUse.name) === 'deny'
+      ? { error: `${toolUse.name} is blocked by policy`, logged: 'blocked by policy' }
+      : null
+
+  if (refusal) {
+    metrics.toolCalls.inc({ tool: toolUse.name, outcome: 'denied' })
+    recordToolCall(turn, { name: toolUse.name, input: toolUse.input, result: refusal.logged, isError: true })
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify({ error: refusal.error }),
+      is_error: true
+    }
   }
-}
 
-async function executeComposioAction(toolName, toolInput) {
+  const endToolTimer = metrics.toolLatency.startTimer({ tool: toolUse.name })
+  const toolStartedAt = Date.now()
   try {
-    console.log(`   🔧 Executing Composio ${toolName}...`)
-
-    const entity = await composioToolset.getEntity('default')
-
-    // Execute action with proper format
-    const result = await composioToolset.executeAction({
-      action: toolName.toUpperCase(),
-      params: toolInput,
-      entityId: entity.id
+    if (toolUse.name === 'github_write_file' && isComplexRequest) {
+      await sendProgressUpdate(contact, `Updating ${toolUse.input.repo}/${toolUse.input.path}... ✍️`)
+    }
+    const result = await executeProviderTool(toolUse.name, toolUse.input, { contact, message })
+
+    // Some executors report failure as { success: false } instead of throwing
+    endToolTimer()
+    metrics.toolCalls.inc({ tool: toolUse.name, outcome: result?.success === false ? 'error' : 'ok' })
+    recordToolCall(turn, {
+      name: toolUse.name,
+      input: toolUse.input,
+      result,
+      isError: result?.success === false,
+      durationMs: Date.now() - toolStartedAt
     })
 
-    console.log(`   ✓ ${toolName} completed`)
-    return result
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: truncateToolResult(JSON.stringify(result) ?? 'null')
+    }
   } catch (error) {
-    console.error(`   ❌ Error executing ${toolName}:`, error.message)
-    throw error
-  }
-}
-
-// Combined tool getter - returns both Todoist and Composio tools
-async function getAllTools() {
-  const [todoist, composio] = await Promise.all([
-    getTodoistTools(),
-    getComposioTools()
-  ])
-
-  return [...todoist, ...composio]
-}
-
-async function loadFullContext() {
-  const contextFiles = [
-    'WHO_IS_CALEB.md',
-    'CURRENT_CONTEXT_JAN_2026.md',
-    'VALUES_AND_PHILOSOPHY.md',
-    'PERSONAL_STORIES_AND_EXPERIENCES.md',
-    'AINATECH_EXPERIENCE_AND_LEARNING.md',
-    'CALEB_TECHNICAL_JOURNEY.md',
-    'CALEB_WORKING_STYLE_AND_PREFERENCES.md'
-  ]
-
-  let fullContext = ''
-
-  for (const file of contextFiles) {
-    try {
-      const response = await fetch(
-        `https://api.github.com/repos/${CONTEXT_REPO}/contents/${file}`,
-        {
-          headers: {
-            ...getGitHubHeaders()
-          }
-        }
-      )
-
-      if (response.ok) {
-        const data = await response.json()
-        const content = Buffer.from(data.content, 'base64').toString('utf-8')
-        fullContext += `\n\n# ${file}\n\n${content}`
-      }
-    } catch (error) {
-      console.log(`⚠️  Could not load ${file}:`, error.message)
+    endToolTimer()
+    metrics.toolCalls.inc({ tool: toolUse.name, outcome: 'error' })
+    recordToolCall(turn, {
+      name: toolUse.name,
+      input: toolUse.input,
+      result: { error: error.message },
+      isError: true,
+      durationMs: Date.now() - toolStartedAt
+    })
+    return {
+      type: 'tool_result',
+      tool_use_id: toolUse.id,
+      content: JSON.stringify({ error: error.message }),
+      is_error: true
     }
   }
-
-  return fullContext
 }
 
-async function fetchMessages() {
-  const response = await fetch(
-    `https://api.github.com/repos/${GITHUB_REPO}/contents/${MESSAGE_FILE}`,
-    {
-      headers: {
-        ...getGitHubHeaders()
-      }
+// Run one step's tool calls. Independent calls run in parallel; calls that
+// change shared state (a provider's serialTools) run one at a time, in order.
+// Results come back in the order of `toolUses`.
+async function executeToolCalls(toolUses, toolContext) {
+  const serial = toolUses.filter(toolUse => isSerialTool(toolUse.name))
+  const parallel = toolUses.filter(toolUse => !isSerialTool(toolUse.name))
+
+  const runSerial = async () => {
+    const results = []
+    for (const toolUse of serial) {
+      results.push(await executeToolCall(toolUse, toolContext))
     }
-  )
-
-  if (!response.ok) {
-    throw new Error(`GitHub fetch failed: ${response.status}`)
+    return results
   }
 
-  const data = await response.json()
-  const content = Buffer.from(data.content, 'base64').toString('utf-8')
-
-  return {
-    content,
-    sha: data.sha
-  }
+  const [parallelResults, serialResults] = await Promise.all([
+    Promise.all(parallel.map(toolUse => executeToolCall(toolUse, toolContext))),
+    runSerial()
+  ])
+  const byId = new Map([...parallelResults, ...serialResults].map(result => [result.tool_use_id, result]))
+  return toolUses.map(toolUse => byId.get(toolUse.id))
 }
 
-function parseMessages(content) {
-  const messages = []
-  const blocks = content.split('---\n').filter(b => b.trim() && !b.includes('# Messages from Poke'))
-
-  for (const block of blocks) {
-    const lines = block.trim().split('\n')
-    let from = null
-    let messageContent = ''
-    let foundContent = false
-
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].startsWith('**From:**')) {
-        from = lines[i].replace('**From:**', '').trim()
-      } else if (lines[i].startsWith('**Timestamp:**')) {
-        foundContent = true
-        i++ // skip empty line
-      } else if (foundContent) {
-        messageContent += lines[i] + '\n'
-      }
-    }
-
-    if (from && messageContent.trim()) {
-      messages.push({
-        from,
-        content: messageContent.trim()
-      })
-    }
-  }
+// Context files come from the manifest-driven loader (conditional requests, parallel),
+// then only the pinned and best-matching sections for `query` go into the prompt.
+// `repo` is the contact's context repo (default: the primary one); contacts
+// without one get no context.
+async function loadRelevantContext(query, repo) {
+  if (repo === null) return ''
+
+  const context = await loadContext(repo)
+  const selected = selectContext(getContextIndex(context), query)
+  console.log(`   🔎 Selected ${selected.sections} context sections (~${selected.tokens} tokens)`)
+  return selected.text
+}
 
+// Recent turns make the retrieval query, so follow-ups still match the topic
+function buildContextQuery(messages) {
   return messages
+    .slice(-4)
+    .map(msg => msg.content)
+    .join('\n')
 }
 
 function needsResponse(messages) {
@@ -513,8 +493,8 @@ function needsResponse(messages) {
 function buildConversationHistory(messages) {
   const conversationMessages = []
 
-  // Take last 10 messages for context
-  const recentMessages = messages.slice(-10)
+  // Only the recent window goes in verbatim - older turns live in the rolling summary
+  const recentMessages = getRecentMessages(messages)
 
   for (const msg of recentMessages) {
     if (msg.from === 'Claude') {
@@ -533,8 +513,97 @@ function buildConversationHistory(messages) {
   return conversationMessages
 }
 
-async function callClaude(conversationMessages, fullContext, completedTasks = [], tools = []) {
-  console.log(`   📊 Context size: ${fullContext.length} chars`)
+async function requestClaude(requestBody) {
+  const endTimer = metrics.claudeLatency.startTimer({ model: requestBody.model })
+  const response = await fetchWithMetrics('claude', 'https://api.anthropic.com/v1/messages', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': CLAUDE_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify(requestBody)
+  }).catch(error => {
+    endTimer({ outcome: 'error' })
+    throw error
+  })
+
+  if (!response.ok) {
+    endTimer({ outcome: 'error' })
+    const error = new Error(`Claude API error: ${await response.text()}`)
+    error.status = response.status // lets the model router fall back on overload/5xx
+    throw error
+  }
+
+  endTimer({ outcome: 'ok' })
+  return await response.json()
+}
+
+// The reply is already paid for - a usage store hiccup shouldn't throw it away
+async function trackUsage(entry) {
+  try {
+    await recordUsage(entry)
+  } catch (error) {
+    console.error('⚠️  Could not record usage:', error.message)
+    recordError('usage', error)
+  }
+}
+
+// Single-prompt text completion for internal jobs (summaries, proactive checks) - small model.
+// `feature` and `conversation` are the usage accounting buckets.
+async function completeText(system, prompt, maxTokens = 500, { feature = 'background', conversation = null } = {}) {
+  const data = await routeRequest('small', {
+    max_tokens: maxTokens,
+    messages: [{ role: 'user', content: prompt }],
+    system
+  }, requestClaude)
+  await trackUsage({ model: data.model, usage: data.usage, feature, conversation })
+
+  return data.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+}
+
+// ============================================================================
+// PROMPT CACHING
+// ============================================================================
+// The API caches the prompt prefix up to each cache_control breakpoint, in
+// tools -> system -> messages order. callClaude marks four of them (the API
+// maximum): the last tool definition, the instructions, the context, and the
+// latest message - so tool-loop iterations re-read everything but the new
+// tool results, and the next text re-reads the instructions and tools.
+const CACHE_CONTROL = { type: 'ephemeral' }
+
+// Copy of `messages` with a breakpoint on the last content block. The stored
+// history stays unmarked so breakpoints don't pile up across iterations.
+function withCacheBreakpoint(messages) {
+  if (messages.length === 0) return messages
+
+  const last = messages[messages.length - 1]
+  const content = typeof last.content === 'string'
+    ? [{ type: 'text', text: last.content }]
+    : [...last.content]
+  content[content.length - 1] = { ...content[content.length - 1], cache_control: CACHE_CONTROL }
+
+  return [...messages.slice(0, -1), { ...last, content }]
+}
+
+function logCacheUsage(usage) {
+  if (!usage) return
+  const rate = cacheHitRate({
+    input: usage.input_tokens || 0,
+    cacheWrite: usage.cache_creation_input_tokens || 0,
+    cacheRead: usage.cache_read_input_tokens || 0
+  })
+  console.log(`   💾 Prompt cache: ${formatTokens(usage.cache_read_input_tokens || 0)} read, ${formatTokens(usage.cache_creation_input_tokens || 0)} written, ${formatTokens(usage.input_tokens || 0)} uncached (${rate === null ? 'n/a' : `${Math.round(rate * 100)}% hit`})`)
+}
+
+// `tier` is "small", "large" or a pinned model id (see model-router.js).
+// `feature` is "reply" for the first call of a turn, "tool-loop" after tool results.
+// `toolChoice` is passed through as tool_choice ({ type: 'none' } forces a text answer).
+async function callClaude(conversationMessages, { contact, tier = 'large', feature = 'reply', relevantContext = '', conversationSummary = '', completedTasks = [], tools = [], toolChoice = null } = {}) {
+  console.log(`   📊 Context size: ${relevantContext.length} chars`)
   console.log(`   🔧 Available tools: ${tools.length}`)
 
   // Build completed tasks summary
@@ -542,105 +611,126 @@ async function callClaude(conversationMessages, fullContext, completedTasks = []
   if (completedTasks.length > 0) {
     completedTasksInfo = '\n\nRECENT TASK COMPLETIONS (from local agent in last 10 minutes):\n'
     for (const task of completedTasks) {
-      completedTasksInfo += `- ${task.taskId} (${task.status} at ${task.timestamp})\n  Output preview: ${task.output.substring(0, 200)}...\n`
+      completedTasksInfo += `- ${formatTaskStatus(task)} at ${task.finishedAt}: ${task.description}\n  Output preview: ${(task.outputPreview || '').substring(0, 200)}...\n`
     }
   }
 
-  const systemPrompt = `You are Claude, Caleb Newton's personal AI assistant, having a conversation via text message through the Poke platform.
-
-IMPORTANT CONTEXT:
-${fullContext}${completedTasksInfo}
-
-Guidelines:
-- Keep responses concise and conversational, suitable for SMS/iMessage
-- You have full access to Caleb's context, projects, and history
-- Be proactive and helpful based on what you know about Caleb
-- Remember ongoing projects, goals, and preferences
-- Text naturally like a close friend/assistant who knows Caleb well
-
-YOUR CAPABILITIES - What YOU Can Do (Cloud Agent):
-✅ Things you can do YOURSELF (do these directly, don't delegate):
-  - Answer questions using Caleb's full context
-  - Make web requests and API calls
-  - Search for information online
-
-  📦 FULL GITHUB ACCESS - You can read/write ANY of Caleb's repos:
+  // Older turns that fell out of the recent-message window
+  const summaryInfo = conversationSummary
+    ? `\n\nEARLIER IN THIS CONVERSATION (running summary of older messages):\n${conversationSummary}`
+    : ''
+
+  // Who this thread is with - persona and limits come from the contacts registry
+  const userName = contact.name.split(' ')[0]
+  const personaInfo = contact.persona ? `\n- ${contact.persona}` : ''
+  const accessInfo = contact.primary
+    ? ''
+    : `\n- You can only use the tools you've been given for ${userName}. Anything listed below that you don't have a tool for isn't available to them`
+
+  // Sections only describe what this contact's tools can actually do
+  const toolNames = tools.map(tool => tool.name)
+  const hasTool = pattern => toolNames.some(name => name === pattern || (pattern.endsWith('_') && name.startsWith(pattern)))
+  const hasGitHub = hasTool('github_')
+  const hasLocalTasks = hasTool('create_local_task')
+  const hasScheduler = hasTool('schedule_message')
+  const hasMemory = hasTool('remember_fact')
+
+  const toolLines = [
+    hasGitHub && '  - GitHub: Read/write files, list repos, browse directories, search code',
+    hasTool('todoist_') && '  - Todoist: Create/read/update/complete tasks, manage the todo list',
+    hasTool('googlecalendar_') && '  - Google Calendar: Find/create events, add to calendar, quick add with natural language',
+    hasTool('gmail_') && '  - Gmail: Search emails, send emails, check inbox',
+    hasTool('googledrive_') && '  - Google Drive: Find files, access documents (if needed)'
+  ].filter(Boolean)
+
+  const githubInfo = hasGitHub ? `
+
+  📦 FULL GITHUB ACCESS - You can read/write ANY of ${OWNER_FIRST_NAME}'s repos:
   - ALL 24 repos including: Personal-Website, ModelLab, 16TechPersonalities, poke-agent-cloud, etc.
   - Read any file from any repo
   - Update/create files in any repo
   - Search code across all repos
   - List repos and browse code structure
-  - Examples: "Update my Personal-Website README", "Check ModelLab config", "Search for API usage"
+  - Examples: "Update my Personal-Website README", "Check ModelLab config", "Search for API usage"` : ''
 
-  - Analyze code, plan projects, give advice
-  - Schedule reminders and track deadlines
-  - Research topics and summarize information
+  const toolsInfo = toolLines.length > 0 ? `
 
   🚀 TOOLS YOU HAVE ACCESS TO (use the tool calling interface):
-  - Todoist: Create/read/update/complete tasks, manage the todo list
-  - Google Calendar: Find/create events, add to calendar, quick add with natural language
-  - Gmail: Search emails, send emails, check inbox
-  - Google Drive: Find files, access documents (if needed)
+${toolLines.join('\n')}
+
+  These tools execute automatically when you call them - just use the tool interface!` : ''
 
-  These tools execute automatically when you call them - just use the tool interface!
+  const schedulingInfo = hasScheduler ? `
+
+  ⏰ SCHEDULING:
+  - schedule_message with send_at (one-off), delay_minutes ("in 20 minutes") or cron (recurring)
+  - Times are ${SCHEDULER_TIMEZONE}; the current time there is at the end of these instructions
+  - Write the message exactly as it should arrive, and confirm the time back to ${userName}` : ''
+
+  const memoryInfo = hasMemory ? `
+
+  🧠 LONG-TERM MEMORY:
+  - remember_fact when ${userName} tells you something worth keeping (preferences, people, plans, decisions)
+  - recall_facts to look something up, forget_fact when they ask you to forget or a fact is outdated
+  - Relevant memories are already included in your context automatically` : ''
+
+  const exampleLines = [
+    hasGitHub && '  - "Read the README from my Personal-Website repo"',
+    hasGitHub && '  - "Update the config in ModelLab"',
+    hasGitHub && '  - "Search all my repos for API key usage"',
+    hasGitHub && '  - "List all my GitHub repos"',
+    hasGitHub && '  - "Check if there are any TODOs in my code"',
+    hasMemory && '  - "Remember that I prefer morning meetings" (remember_fact)'
+  ].filter(Boolean)
+  const examplesInfo = exampleLines.length > 0 ? `
 
   📝 EXAMPLES of what you can do:
-  - "Read the README from my Personal-Website repo"
-  - "Update the config in ModelLab"
-  - "Search all my repos for API key usage"
-  - "List all my GitHub repos"
-  - "Check if there are any TODOs in my code"
-  - "Update my context with this information" (write to claude-context repo)
+${exampleLines.join('\n')}` : ''
+
+  const localTaskInfo = hasLocalTasks ? `
 
 ❌ Things you MUST delegate to Local Agent (create tasks for these ONLY):
-  - Read/write files on Caleb's Mac (outside GitHub)
-  - Run commands, scripts, or code on Caleb's Mac (npm, python, etc.)
+  - Read/write files on ${OWNER_FIRST_NAME}'s Mac (outside GitHub)
+  - Run commands, scripts, or code on ${OWNER_FIRST_NAME}'s Mac (npm, python, etc.)
   - Git operations on local repositories (not GitHub API)
   - Open Mac applications locally
   - Local filesystem operations
 
-  Only delegate when it MUST run on Caleb's Mac. Everything else, do yourself!
-
-GITHUB OPERATIONS - Do these yourself (cloud agent):
-When Caleb asks you to read/update GitHub files, use this format in your internal thinking:
+  Only delegate when it MUST run on ${OWNER_FIRST_NAME}'s Mac. Everything else, do yourself!` : ''
 
-[GITHUB_READ repo=owner/repo path=file/path.md]
-[GITHUB_WRITE repo=owner/repo path=file/path.md message="commit message"]
-content here
-[/GITHUB_WRITE]
-[GITHUB_LIST_REPOS]
-[GITHUB_SEARCH query="search term"]
+  const githubOperationsInfo = hasGitHub ? `
 
-The system will execute these automatically and you'll have the results.
+GITHUB OPERATIONS - Do these yourself (cloud agent) with the github_* tools:
+- "Read my Personal-Website README" → github_read_file with repo=calebnewtonusc/Personal-Website path=README.md
+- "Update my WHO_IS_CALEB file" → github_read_file, then github_write_file with the full updated content in the claude-context repo
+- "What's in ModelLab?" → github_list_directory with repo=calebnewtonusc/ModelLab
+- "Search for API keys" → github_search_code with query="API_KEY"` : ''
 
-Examples:
-- "Read my Personal-Website README" → Use GITHUB_READ with repo=calebnewtonusc/Personal-Website path=README.md
-- "Update my context" → Use GITHUB_WRITE to update files in claude-context repo
-- "Search for API keys" → Use GITHUB_SEARCH query="API_KEY"
+  const taskCreationInfo = hasLocalTasks ? `
 
 TASK CREATION - For Local Agent (ONLY for local Mac operations):
-When Caleb asks for something requiring local Mac access, create a task using this format:
-
-[CREATE_TASK priority=high|normal|low]
-bash: actual_command_to_run_here
-[/CREATE_TASK]
-
-For bash commands, prefix with "bash:" so the local agent knows to execute it directly.
+When ${userName} asks for something requiring local Mac access, call create_local_task with a description and,
+when there's a shell command to run, the exact command. Use get_task_status to check on tasks
+and read their output. Tell ${userName} the task id - they can text "cancel task_<id>" or "retry task_<id>".
 
 Examples:
-- "Run the tests" → [CREATE_TASK priority=high]\nbash: npm test\n[/CREATE_TASK]
-- "Check git status" → [CREATE_TASK priority=normal]\nbash: git status\n[/CREATE_TASK]
+- "Run the tests" → create_local_task with command="npm test", priority=high
+- "Check git status" → create_local_task with command="git status"
+- "Did the tests pass?" → get_task_status (with include_output if they want details)
+
+IMPORTANT: Only create tasks for LOCAL operations.${hasGitHub ? ' GitHub operations you do yourself!' : ''}` : ''
 
-IMPORTANT: Only create tasks for LOCAL operations. GitHub operations you do yourself!
+  // Proactive messages only go to the primary contact (see runProactiveCheck)
+  const proactiveInfo = contact.primary ? `
 
 PROACTIVE MESSAGING - Be resourceful and helpful:
-You should proactively text Caleb about:
+You should proactively text ${userName} about:
 - ⚠️  **Important emails** (when Gmail is connected) - urgent, from key people
 - 📅 **Upcoming deadlines** - Understanding Sprint, project milestones
 - 📆 **Calendar events** (when Calendar is connected) - meetings, appointments
-- ✅ **Completed tasks** - Let him know when local agent finishes something
+- ✅ **Completed tasks** - Let them know when local agent finishes something
 - 📁 **Important file changes** - Monitor key repos for significant updates
-- 💡 **Opportunities** - Based on his projects and goals
+- 💡 **Opportunities** - Based on their projects and goals
 - 🎯 **Progress check-ins** - On ongoing work, goals
 
 Be resourceful - use ALL your access:
@@ -648,68 +738,83 @@ Be resourceful - use ALL your access:
 - Monitor task completion status
 - Review context for upcoming deadlines
 - Look for patterns that need attention
-- Proactively offer to help before being asked
+- Proactively offer to help before being asked` : ''
+
+  // Persona, guidelines and capabilities - identical on every call for this contact
+  const instructions = `You are Claude, ${contact.name}'s personal AI assistant, having a conversation via text message through the Poke platform.
+
+Guidelines:
+- Keep responses concise and conversational, suitable for SMS/iMessage
+- ${contact.contextRepo ? `You have full access to ${userName}'s context, projects, and history` : `You have no background files on ${userName} - go by what they tell you in this conversation`}
+- Be proactive and helpful based on what you know about ${userName}
+- Remember ongoing projects, goals, and preferences
+- Text naturally like a close friend/assistant who knows ${userName} well${personaInfo}${accessInfo}
+
+YOUR CAPABILITIES - What YOU Can Do (Cloud Agent):
+✅ Things you can do YOURSELF${hasLocalTasks ? " (do these directly, don't delegate)" : ''}:
+  - Answer questions${contact.contextRepo ? ` using ${userName}'s full context` : ''}
+  - Make web requests and API calls
+  - Search for information online${githubInfo}
+
+  - Analyze code, plan projects, give advice${hasScheduler ? '\n  - Schedule reminders and recurring check-ins (schedule_message / list_scheduled / cancel_scheduled)' : ''}
+  - Research topics and summarize information${toolsInfo}${schedulingInfo}${memoryInfo}${examplesInfo}${localTaskInfo}${githubOperationsInfo}${taskCreationInfo}${proactiveInfo}`
+
+  // Context selected for this turn - stable across the turn's tool iterations
+  const contextInfo = `IMPORTANT CONTEXT:
+${relevantContext}${summaryInfo}`
 
-Current date: ${new Date().toLocaleDateString()}
-Current time: ${new Date().toLocaleTimeString()}`
+  // Changes on every call, so it goes last, after the cached prefix
+  const volatileInfo = `Current date: ${new Date().toLocaleDateString()}
+Current time: ${new Date().toLocaleTimeString()} (${formatInTimeZone(new Date())} in ${SCHEDULER_TIMEZONE})${completedTasksInfo}`
 
-  // Build request body
+  // Build request body - the router adds the model and max_tokens
   const requestBody = {
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 2000,
-    messages: conversationMessages,
-    system: systemPrompt
+    messages: withCacheBreakpoint(conversationMessages),
+    system: [
+      { type: 'text', text: instructions, cache_control: CACHE_CONTROL },
+      { type: 'text', text: contextInfo, cache_control: CACHE_CONTROL },
+      { type: 'text', text: volatileInfo }
+    ]
   }
 
-  // Add tools if available
+  // Add tools if available - the breakpoint on the last one caches every definition
   if (tools.length > 0) {
-    requestBody.tools = tools
-  }
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify(requestBody)
-  })
-
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`Claude API error: ${error}`)
+    requestBody.tools = [
+      ...tools.slice(0, -1),
+      { ...tools[tools.length - 1], cache_control: CACHE_CONTROL }
+    ]
+    if (toolChoice) {
+      requestBody.tool_choice = toolChoice
+    }
   }
 
-  const data = await response.json()
+  const data = await routeRequest(tier, requestBody, requestClaude)
+  console.log(`   🧭 Answered by ${data.model} (${tier})`)
+  logCacheUsage(data.usage)
+  await trackUsage({ model: data.model, usage: data.usage, feature, conversation: contact.id })
 
   // Return both content blocks and stop_reason for tool handling
   return {
     content: data.content,
     stopReason: data.stop_reason,
-    usage: data.usage
+    usage: data.usage,
+    model: data.model
   }
 }
 
-async function sendToPoke(message) {
-  // Truncate long messages to prevent SMS/iMessage length issues
-  const MAX_LENGTH = 1500
-  let truncatedMessage = message
-
-  if (message.length > MAX_LENGTH) {
-    truncatedMessage = message.substring(0, MAX_LENGTH - 50) + '\n\n[Message truncated - too long for SMS]'
-    console.log(`⚠️  Message truncated from ${message.length} to ${truncatedMessage.length} chars`)
-  }
-
-  const response = await fetch('https://poke.com/api/v1/inbound-sms/webhook', {
+// Posts a single SMS-sized message to `to`. Outbox sends pass an idempotency
+// key so a retried part can be recognised as a duplicate.
+async function postToPoke(to, message, idempotencyKey = null) {
+  const response = await fetchWithMetrics('poke', config.pokeApiUrl, {
     method: 'POST',
     headers: {
       'Authorization': `Bearer ${POKE_API_KEY}`,
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey })
     },
     body: JSON.stringify({
-      message: truncatedMessage,
-      to: '+13104296285'
+      message,
+      to
     })
   })
 
@@ -720,273 +825,625 @@ async function sendToPoke(message) {
   return await response.json()
 }
 
-// Send progress updates without logging to GitHub
-async function sendProgressUpdate(message) {
+// Progress updates are deliberately best-effort and skip the outbox: they're
+// only useful while the turn is running, and a retried one would land after
+// the reply. They're short, so they go out as one SMS without touching the
+// MORE continuation, and aren't logged to the conversation.
+async function sendProgressUpdate(contact, message) {
   try {
     console.log(`📊 Progress update: ${message}`)
-    await sendToPoke(`⏳ ${message}`)
+    await postToPoke(contact.phone, `⏳ ${message}`)
   } catch (error) {
     console.error('Failed to send progress update:', error.message)
     // Don't throw - progress updates are non-critical
   }
 }
 
-async function logToGitHub(content, sha, replyMessage) {
-  const now = new Date()
-  const dateStr = now.toISOString().split('T')[0]
-  const timeStr = now.toTimeString().split(' ')[0]
-
-  const claudeLogEntry = `\n## ${dateStr} ${timeStr} - Claude Response\n\n**From:** Claude\n**In Response To:** caleb_newton\n**Timestamp:** ${now.toISOString()}\n\n${replyMessage}\n\n---\n`
+// ============================================================================
+// INBOUND WEBHOOK - Push delivery of new texts (POST /webhook/inbound)
+// ============================================================================
 
-  const updatedContent = content + claudeLogEntry
+// Signature is "sha256=" + hex HMAC of the raw body, keyed with WEBHOOK_SECRET
+function verifyWebhookSignature(rawBody, signatureHeader) {
+  if (!WEBHOOK_SECRET || typeof signatureHeader !== 'string') {
+    return false
+  }
 
-  const response = await fetch(
-    `https://api.github.com/repos/${GITHUB_REPO}/contents/${MESSAGE_FILE}`,
-    {
-      method: 'PUT',
-      headers: {
-        ...getGitHubHeaders(),
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        message: 'Add Claude response via cloud agent',
-        content: Buffer.from(updatedContent).toString('base64'),
-        sha
-      })
-    }
-  )
+  const expected = Buffer.from(`sha256=${createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex')}`)
+  const received = Buffer.from(signatureHeader)
 
-  if (!response.ok) {
-    const error = await response.text()
-    throw new Error(`GitHub commit failed: ${error}`)
-  }
+  return received.length === expected.length && timingSafeEqual(received, expected)
+}
 
-  return await response.json()
+function readRequestBody(req, limit = MAX_WEBHOOK_BODY) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+
+    req.on('data', chunk => {
+      size += chunk.length
+      if (size > limit) {
+        const error = new Error('Request body too large')
+        error.statusCode = 413
+        reject(error)
+        // Stop buffering but drain the socket so the 413 can still be sent
+        req.removeAllListeners('data')
+        req.resume()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks)))
+    req.on('error', reject)
+  })
 }
 
-// Check for recently completed tasks
-async function checkCompletedTasks() {
+// Payload: { sender, text, timestamp, message_id }
+function parseInboundPayload(rawBody) {
+  let payload
   try {
-    const response = await fetch(
-      `https://api.github.com/repos/${CONTEXT_REPO}/contents/${TASKS_FILE}`,
-      {
-        headers: {
-          ...getGitHubHeaders()
-        }
-      }
-    )
+    payload = JSON.parse(rawBody.toString('utf-8'))
+  } catch (error) {
+    return { error: 'Invalid JSON' }
+  }
 
-    if (!response.ok) {
-      return []
+  const { sender, text, timestamp, message_id: messageId } = payload || {}
+
+  if (typeof sender !== 'string' || !sender.trim()) {
+    return { error: 'Missing sender' }
+  }
+  if (typeof text !== 'string' || !text.trim()) {
+    return { error: 'Missing text' }
+  }
+  if (typeof messageId !== 'string' || !messageId.trim()) {
+    return { error: 'Missing message_id' }
+  }
+
+  const sentAt = timestamp ? new Date(timestamp) : new Date()
+  if (isNaN(sentAt.getTime())) {
+    return { error: 'Invalid timestamp' }
+  }
+
+  return {
+    message: {
+      id: messageId.trim(),
+      from: sender.trim(),
+      content: text.trim(),
+      timestamp: sentAt.toISOString()
     }
+  }
+}
 
-    const data = await response.json()
-    const content = Buffer.from(data.content, 'base64').toString('utf-8')
+// Record a webhook message in the contact's thread and queue it to be
+// answered. Recording comes first: once we answer 202 Poke won't resend it.
+// Both stores take concurrent appends (GitHub retries on a conflict, JSONL
+// dedupes by id), so this doesn't need the processing lock.
+async function enqueueInboundMessage(contact, message) {
+  // Drop webhook retries for messages we've already recorded
+  if (recentMessageIds.has(message.id)) {
+    return false
+  }
 
-    // Parse completed tasks from last 10 minutes
-    const tenMinutesAgo = new Date(Date.now() - 10 * 60 * 1000)
-    const completedTasks = []
+  recentMessageIds.add(message.id)
+  try {
+    await getThread(contact).store.append([message])
+  } catch (error) {
+    // Let Poke's retry try again
+    recentMessageIds.delete(message.id)
+    throw new Error(`Failed to record inbound message: ${error.message}`)
+  }
+  if (recentMessageIds.size > MAX_RECENT_MESSAGE_IDS) {
+    recentMessageIds.delete(recentMessageIds.values().next().value)
+  }
 
-    const taskMatches = content.matchAll(/## (task_\d+)[\s\S]*?\*\*Status:\*\* (completed|failed)[\s\S]*?\*\*Result:\*\* (\w+) at ([\d\-T:.Z]+)[\s\S]*?```\n([\s\S]*?)\n```/g)
+  inboundQueue.push({ contactId: contact.id, message })
+  return true
+}
 
-    for (const match of taskMatches) {
-      const [, taskId, status, resultStatus, timestamp, output] = match
-      const completedAt = new Date(timestamp)
+// A contact's queued messages are already in their thread - take them off the
+// queue and load the thread
+async function takeInboundMessages(thread) {
+  const pending = inboundQueue.filter(item => item.contactId === thread.contact.id)
+  inboundQueue.splice(0, inboundQueue.length, ...inboundQueue.filter(item => !pending.includes(item)))
 
-      if (completedAt > tenMinutesAgo) {
-        completedTasks.push({
-          taskId,
-          status,
-          timestamp,
-          output: output.substring(0, 500) // Limit output size
-        })
-      }
-    }
+  try {
+    return await thread.store.load()
+  } catch (error) {
+    // Put them back so the retry in runResponsePipeline picks them up
+    inboundQueue.unshift(...pending)
+    throw error
+  }
+}
 
-    return completedTasks
+async function handleInboundWebhook(req, res) {
+  const reply = (status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' })
+    res.end(JSON.stringify(body))
+  }
+
+  if (!WEBHOOK_SECRET) {
+    return reply(503, { error: 'Webhook not configured (WEBHOOK_SECRET is not set)' })
+  }
+
+  let rawBody
+  try {
+    rawBody = await readRequestBody(req)
   } catch (error) {
-    console.error('Error checking completed tasks:', error.message)
-    return []
+    return reply(error.statusCode || 400, { error: error.message })
+  }
+
+  if (!verifyWebhookSignature(rawBody, req.headers['x-poke-signature'])) {
+    return reply(401, { error: 'Invalid signature' })
+  }
+
+  const { message, error } = parseInboundPayload(rawBody)
+  if (error) {
+    return reply(400, { error })
+  }
+  addLogContext({ correlationId: message.id })
+
+  const contact = await resolveContact(message.from)
+  if (!contact) {
+    console.warn(`⚠️  Ignoring webhook message from unknown sender ${message.from}`)
+    return reply(403, { error: 'Unknown sender' })
+  }
+  addLogContext({ contactId: contact.id })
+
+  let queued
+  try {
+    queued = await enqueueInboundMessage(contact, message)
+  } catch (error) {
+    console.error('❌ Webhook message not recorded:', error.message)
+    recordError('webhook', error)
+    return reply(503, { error: 'Could not record the message - retry later' })
+  }
+  reply(202, { queued, messageId: message.id })
+
+  if (queued) {
+    metrics.inboundMessages.inc()
+    console.log(`📨 Webhook message ${message.id} from ${message.from}`)
+    runInboundQueue()
   }
 }
 
-async function createTask(taskDescription, priority = 'normal') {
+// ============================================================================
+// PROACTIVE MESSAGING - signal providers + engine (see proactive-engine.js)
+// ============================================================================
+
+// Calendar, Gmail and Todoist signals run through their tool plugins, when loaded
+function registerSignalProviders() {
+  const composio = getToolProvider('composio')
+  if (composio) {
+    const executeComposioAction = (toolName, input) => composio.execute(toolName, input)
+    registerSignalProvider(createCalendarProvider({ executeComposioAction }))
+    registerSignalProvider(createGmailProvider({ executeComposioAction }))
+  }
+  const todoist = getToolProvider('todoist')
+  if (todoist) {
+    registerSignalProvider(createTodoistProvider({ todoistRequest: todoist.request }))
+  }
+  registerSignalProvider(createLocalTaskProvider())
+  registerSignalProvider(createRepoActivityProvider())
+  registerSignalProvider(createContextCheckInProvider({
+    completeText: (system, prompt, maxTokens) => completeText(system, prompt, maxTokens, { feature: 'proactive' }),
+    loadRelevantContext,
+    query: PROACTIVE_CONTEXT_QUERY
+  }))
+}
+
+// Turn the chosen alerts into one casual text
+async function composeProactiveMessage(alerts) {
+  const alertList = alerts
+    .map(alert => `- [${alert.source}] ${alert.title}${alert.details ? ` (${alert.details})` : ''}`)
+    .join('\n')
+
   try {
-    // Fetch current TASKS.md file
-    let currentContent = ''
-    let currentSha = null
-
-    const getResponse = await fetch(
-      `https://api.github.com/repos/${CONTEXT_REPO}/contents/${TASKS_FILE}`,
-      {
-        headers: {
-          ...getGitHubHeaders()
-        }
-      }
-    )
-
-    if (getResponse.ok) {
-      const data = await getResponse.json()
-      currentContent = Buffer.from(data.content, 'base64').toString('utf-8')
-      currentSha = data.sha
-    } else if (getResponse.status === 404) {
-      // File doesn't exist, create it
-      currentContent = '# Tasks for Local Agents\n\nTasks created by the cloud agent for local agents to complete.\n\n---\n\n'
-    } else {
-      throw new Error(`Failed to fetch TASKS.md: ${getResponse.status}`)
-    }
+    return (await completeText(
+      `You are Claude, texting ${OWNER_FIRST_NAME} a proactive heads-up. Be brief and casual, like a close friend/assistant.`,
+      `Write one short text message (2-3 sentences max) letting ${OWNER_FIRST_NAME} know about these, most important first:\n${alertList}\n\nReply with the message only.`,
+      300,
+      { feature: 'proactive' }
+    )).trim()
+  } catch (error) {
+    console.error('⚠️  Could not compose proactive message, sending the raw list:', error.message)
+    return `Heads up:\n${alerts.map(alert => `• ${alert.title}`).join('\n')}`
+  }
+}
 
-    // Create task entry
-    const now = new Date()
-    const taskId = `task_${now.getTime()}`
-    const taskEntry = `## ${taskId}\n\n**Created:** ${now.toISOString()}\n**Priority:** ${priority}\n**Status:** pending\n\n${taskDescription}\n\n---\n\n`
+// ============================================================================
+// OUTBOX - Every SMS (but progress updates) and log commit goes through the durable queue
+// ============================================================================
 
-    const updatedContent = currentContent + taskEntry
+function registerOutboxHandlers() {
+  registerOutboxHandler('sms', async ({ contactId, text, replyTo = null }, { key }) => {
+    const contact = await contactFor(contactId)
+    console.log(`📤 Sending to Poke (${contact.id})...`)
+    let part = 0
+    await deliverMessage(text, partText => postToPoke(contact.phone, partText, `${key}:${++part}`), {
+      stateName: contactStateName(contact, 'sms-continuation')
+    })
+    console.log('✓ Sent to Poke successfully')
 
-    // Commit to GitHub
-    const method = currentSha ? 'PUT' : 'PUT'
-    const body = {
-      message: `Add task: ${taskDescription.substring(0, 50)}...`,
-      content: Buffer.from(updatedContent).toString('base64')
+    // Replies carry the inbound message's time for the end-to-end latency metric
+    if (replyTo) {
+      metrics.replyLatency.observe({ kind: replyTo.kind }, (Date.now() - new Date(replyTo.timestamp).getTime()) / 1000)
     }
+  })
 
-    if (currentSha) {
-      body.sha = currentSha
-    }
+  registerOutboxHandler('log-reply', async ({ contactId, message, reply }) => {
+    const thread = getThread(await contactFor(contactId))
+    console.log(`📝 Logging to ${thread.store.name} store (${thread.store.label})...`)
+    const result = await thread.store.markAnswered(message, reply)
+    console.log(`✓ Logged reply (${result.version.substring(0, 7)})`)
+    thread.lastProcessedVersion = result.version
+  })
 
-    const putResponse = await fetch(
-      `https://api.github.com/repos/${CONTEXT_REPO}/contents/${TASKS_FILE}`,
-      {
-        method,
-        headers: {
-          ...getGitHubHeaders(),
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(body)
-      }
-    )
+  registerOutboxHandler('log-messages', async ({ contactId, messages }) => {
+    await getThread(await contactFor(contactId)).store.append(messages)
+  })
+}
 
-    if (!putResponse.ok) {
-      const error = await putResponse.text()
-      throw new Error(`Failed to create task: ${error}`)
-    }
+// Queue a reply to Poke plus its log entry, keyed by the message it answers,
+// then flush. `alreadySent` replies (e.g. MORE continuations) are only recorded.
+// `kind` ("claude" or "command") labels the reply metrics; `key` prefixes the outbox keys.
+async function deliverReply(thread, message, replyText, { alreadySent = false, kind = 'claude', key = `reply:${message.id}` } = {}) {
+  const contactId = thread.contact.id
+  const reply = {
+    id: `claude_${Date.now()}`,
+    from: 'Claude',
+    content: replyText,
+    timestamp: new Date().toISOString()
+  }
 
-    console.log(`✓ Created task: ${taskId}`)
-    return taskId
-  } catch (error) {
-    console.error('❌ Error creating task:', error.message)
-    return null
+  const actions = [{ key: `${key}:log`, type: 'log-reply', payload: { contactId, message, reply } }]
+  if (!alreadySent) {
+    actions.unshift({
+      key: `${key}:sms`,
+      type: 'sms',
+      payload: { contactId, text: replyText, replyTo: { timestamp: message.timestamp, kind } }
+    })
   }
+
+  await enqueueOutbox(actions)
+  metrics.replies.inc({ kind })
+  await processOutbox()
 }
 
-// Proactive messaging feature
-async function checkForProactiveUpdates(fullContext) {
-  const hoursSinceLastMessage = (Date.now() - lastProactiveMessage) / (1000 * 60 * 60)
+// Retry pending outbox actions. Log commits write to the conversation
+// store, so this shares the processing lock.
+async function runOutboxTick() {
+  if (isProcessing) {
+    return
+  }
 
-  // Send proactive update once per day (24 hours)
-  if (hoursSinceLastMessage < 24) {
-    return null
+  isProcessing = true
+  try {
+    await processOutbox()
+  } catch (error) {
+    console.error('❌ Outbox tick failed:', error.message)
+    recordError('outbox', error)
+  } finally {
+    isProcessing = false
+    if (inboundQueue.length > 0) {
+      setTimeout(runInboundQueue, 0)
+    }
   }
+}
 
-  const currentHour = new Date().getHours()
+// ============================================================================
+// TEXT COMMANDS - Answered directly, without a Claude call
+// ============================================================================
 
-  // Only send between 9 AM and 8 PM
-  if (currentHour < 9 || currentHour > 20) {
-    return null
+// Returns { text, alreadySent } for commands, or null when the message isn't one
+async function handleTextCommand(contact, message) {
+  const text = message.content.trim()
+
+  // "usage" - today's token spend and budgets (covers every conversation, so primary contact only)
+  if (contact.primary && /^usage(\s+report)?\W*$/i.test(text)) {
+    return { text: await formatUsageReport() }
   }
 
-  // Ask Claude if there's something important to share
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': CLAUDE_API_KEY,
-      'anthropic-version': '2023-06-01'
-    },
-    body: JSON.stringify({
-      model: 'claude-sonnet-4-5-20250929',
-      max_tokens: 500,
-      messages: [{
-        role: 'user',
-        content: `Based on Caleb's context, projects, and goals, is there anything important or helpful you should proactively text him about today? Consider:
-- Project deadlines or milestones
-- Important reminders
-- Opportunities based on his interests
-- Check-ins on ongoing work
-
-If yes, write a brief, casual text message (2-3 sentences max). If no, just say "SKIP".
-
-Context:
-${fullContext.substring(0, 10000)}`
-      }],
-      system: 'You are Claude, deciding whether to send Caleb a proactive text message. Only send truly valuable, timely updates.'
+  // "model small|large|auto|<id>" - pin this conversation's model
+  const modelReply = await handleModelCommand(contact.id, text)
+  if (modelReply) {
+    return { text: modelReply }
+  }
+
+  // "MORE" - next parts of a long reply
+  if (/^more\W*$/i.test(text)) {
+    const sent = await sendContinuation(part => postToPoke(contact.phone, part), {
+      stateName: contactStateName(contact, 'sms-continuation')
     })
-  })
+    return sent > 0
+      ? { text: `[Sent ${sent} more part(s) of the previous reply]`, alreadySent: true }
+      : { text: 'Nothing more to send - that was the whole message.' }
+  }
 
-  if (response.ok) {
-    const data = await response.json()
-    const message = data.content[0].text.trim()
+  // "cancel task_123" / "retry task task_123"
+  const taskCommand = text.match(/^(cancel|retry)\s+(?:task\s+)?(task_\d+)\s*$/i)
+  if (taskCommand && isToolAllowed(contact, 'create_local_task') && getToolPolicy('create_local_task') !== 'deny') {
+    const action = taskCommand[1].toLowerCase()
+    const taskId = taskCommand[2]
 
-    if (message !== 'SKIP' && !message.includes('SKIP')) {
-      return message
+    try {
+      const task = action === 'cancel' ? await cancelTask(taskId) : await retryTask(taskId)
+      return { text: `✓ ${formatTaskStatus(task)}` }
+    } catch (error) {
+      return { text: `Couldn't ${action} ${taskId}: ${error.message}` }
     }
   }
 
   return null
 }
 
-async function processMessages() {
-  if (isProcessing) {
+// Fire due scheduled messages. Shares the processing lock so the
+// conversation store only has one writer at a time.
+async function runSchedulerTick() {
+  if (isProcessing || paused) {
     return
   }
 
   isProcessing = true
-  processCount++
-  lastProcessTime = new Date().toISOString()
+  try {
+    await runDueJobs(async job => {
+      const runId = `${job.id}_${job.runCount + 1}`
+      const contactId = job.contactId || null
+      await enqueueOutbox([
+        { key: `scheduled:${runId}:sms`, type: 'sms', payload: { contactId, text: job.message } },
+        {
+          key: `scheduled:${runId}:log`,
+          type: 'log-messages',
+          payload: {
+            contactId,
+            messages: [{ id: runId, from: 'Claude', content: job.message, timestamp: new Date().toISOString() }]
+          }
+        }
+      ])
+    })
+    await processOutbox()
+  } catch (error) {
+    console.error('❌ Scheduler tick failed:', error.message)
+    recordError('scheduler', error)
+  } finally {
+    isProcessing = false
+    if (inboundQueue.length > 0) {
+      setTimeout(runInboundQueue, 0)
+    }
+  }
+}
 
+// Proactive messaging runs on its own timer so it works in webhook mode too.
+// Signals come from the primary contact's accounts, so only they get these texts.
+// Returns the alerts that were texted. `manual` runs (from the admin API) go ahead
+// while paused. Texts are queued in the outbox, so this shares the processing lock.
+async function runProactiveCheck({ manual = false } = {}) {
+  if (paused && !manual) {
+    return []
+  }
+  if (isProcessing) {
+    if (manual) throw httpError(409, 'Busy answering another message - try again in a moment')
+    console.log('⏭️  Busy - proactive check skipped until the next interval')
+    return []
+  }
+
+  isProcessing = true
   try {
-    // Load full context (cached for performance)
-    const fullContext = await loadFullContext()
+    if ((await getBudgetStatus()).overHard) {
+      console.log('💸 Daily hard budget reached - skipping proactive check')
+      return []
+    }
 
-    // Check for completed tasks from local agent
-    const completedTasks = await checkCompletedTasks()
-    if (completedTasks.length > 0) {
-      console.log(`📋 Found ${completedTasks.length} recently completed tasks`)
-      // Note: We'll include these in responses when relevant, not spam with separate messages
+    const { id: contactId } = await getPrimaryContact()
+    const sent = await runProactiveEngine({
+      compose: composeProactiveMessage,
+      // Keyed by what's being sent, so a crash before the engine saves its
+      // state can't send the same alerts again under a new key
+      send: (text, { alerts, day }) => {
+        const alertIds = createHash('sha256').update(alerts.map(alert => alert.id).sort().join('\n')).digest('hex').substring(0, 16)
+        return enqueueOutbox([{ key: `proactive:${day}:${alertIds}:sms`, type: 'sms', payload: { contactId, text } }])
+      }
+    })
+    if (sent.length > 0) {
+      await processOutbox()
+      console.log('✅ Proactive message queued\n')
+    }
+    return sent
+  } catch (error) {
+    console.error('❌ Proactive check failed:', error.message)
+    recordError('proactive', error)
+    if (manual) throw error
+    return []
+  } finally {
+    isProcessing = false
+    if (inboundQueue.length > 0) {
+      setTimeout(runInboundQueue, 0)
     }
+  }
+}
+
+// Polling fallback: re-load every contact's thread and answer if needed
+async function processMessages() {
+  if (paused) {
+    return
+  }
 
-    // Check for proactive updates
-    const proactiveMessage = await checkForProactiveUpdates(fullContext)
-    if (proactiveMessage) {
-      console.log('📨 Sending proactive message...')
-      await sendToPoke(proactiveMessage)
-      lastProactiveMessage = Date.now()
-      console.log('✅ Proactive message sent\n')
+  metrics.pollCycles.inc()
+  let contacts
+  try {
+    ({ contacts } = await loadContacts())
+  } catch (error) {
+    console.error('❌ Poll skipped:', error.message)
+    recordError('contacts', error)
+    return
+  }
+  for (const contact of contacts) {
+    const thread = getThread(contact)
+    await runResponsePipeline(thread, () => thread.store.load())
+  }
+}
+
+// Fire-and-forget entry point for the inbound queue
+function runInboundQueue() {
+  processInboundQueue().catch(error => {
+    console.error('❌ Inbound queue failed:', error.message)
+    recordError('inbound', error)
+    // Usually the contacts registry couldn't be read - try again shortly
+    if (inboundQueue.length > 0) {
+      setTimeout(runInboundQueue, INBOUND_RETRY_BASE)
     }
+  })
+}
 
-    // Fetch latest messages from GitHub
-    const { content, sha } = await fetchMessages()
+// The failed turn's messages are already recorded - queue the contact again
+// so the thread is re-read and answered, backing off after each failure
+function scheduleInboundRetry(thread) {
+  const attempt = (thread.inboundRetries || 0) + 1
+  if (attempt > MAX_INBOUND_RETRIES) {
+    console.error(`❌ Giving up on ${thread.contact.id} after ${MAX_INBOUND_RETRIES} retries - their next text will try again`)
+    thread.inboundRetries = 0
+    return
+  }
 
-    // Check if content changed
-    if (sha === lastProcessedHash) {
+  thread.inboundRetries = attempt
+  const delay = Math.min(INBOUND_RETRY_BASE * 2 ** (attempt - 1), INBOUND_RETRY_MAX)
+  console.log(`↻ Retrying ${thread.contact.id} in ${delay / 1000}s (attempt ${attempt}/${MAX_INBOUND_RETRIES})`)
+  setTimeout(() => {
+    inboundQueue.push({ contactId: thread.contact.id, message: null })
+    runInboundQueue()
+  }, delay)
+}
+
+// Webhook mode: answer recorded inbound messages - one
+// contact per run, the rest are picked up when the run finishes
+async function processInboundQueue() {
+  if (inboundQueue.length === 0 || isProcessing || paused) {
+    return
+  }
+
+  const { contactId } = inboundQueue[0]
+  const contact = await getContact(contactId)
+  if (!contact) {
+    // Removed from the registry while their messages were queued
+    console.warn(`⚠️  Dropping queued messages for unknown contact ${contactId}`)
+    inboundQueue.splice(0, inboundQueue.length, ...inboundQueue.filter(item => item.contactId !== contactId))
+    return processInboundQueue()
+  }
+
+  const thread = getThread(contact)
+  return runResponsePipeline(thread, () => takeInboundMessages(thread), { retryOnFailure: true })
+}
+
+// Each run logs under its own context; the correlation id is added once we
+// know which message the run answers. `replay` runs answer a message again
+// (admin API): loadMessages ends at that message, and the usual "unchanged"
+// and "already answered" checks are skipped.
+function runResponsePipeline(thread, loadMessages, { replay = false, retryOnFailure = false } = {}) {
+  return runWithLogContext({ contactId: thread.contact.id }, () => respondToThread(thread, loadMessages, { replay, retryOnFailure }))
+}
+
+async function respondToThread(thread, loadMessages, { replay, retryOnFailure }) {
+  if (isProcessing) {
+    return
+  }
+
+  isProcessing = true
+  processCount++
+  lastProcessTime = new Date().toISOString()
+  let failed = false
+  let turn = null
+
+  try {
+    // Load latest messages
+    const { messages, version } = await loadMessages()
+
+    // Check if the thread changed
+    if (version === thread.lastProcessedVersion && !replay) {
+      metrics.pipelineRuns.inc({ outcome: 'unchanged' })
       return
     }
+    const { contact } = thread
 
-    console.log(`New content detected (${sha.substring(0, 7)})`)
-
-    // Parse messages
-    const messages = parseMessages(content)
-    console.log(`Parsed ${messages.length} total messages`)
+    console.log(`New content detected (${version.substring(0, 7)})`)
+    console.log(`Loaded ${messages.length} total messages`)
 
     // Check if response needed
     const messageNeedingResponse = needsResponse(messages)
 
     if (!messageNeedingResponse) {
       console.log('No response needed')
-      lastProcessedHash = sha
+      metrics.pipelineRuns.inc({ outcome: 'no_response' })
+      thread.lastProcessedVersion = version
+      return
+    }
+    addLogContext({ correlationId: messageNeedingResponse.id })
+    // Replays get their own outbox keys so they aren't deduped against the first answer
+    const replyKey = replay ? `replay:${messageNeedingResponse.id}:${Date.now()}` : `reply:${messageNeedingResponse.id}`
+
+    // Already answered - the reply is still working its way through the outbox
+    if (!replay && await hasOutboxAction(`reply:${messageNeedingResponse.id}:`)) {
+      console.log(`📮 Reply to ${messageNeedingResponse.id} already queued`)
+      metrics.pipelineRuns.inc({ outcome: 'already_queued' })
+      thread.lastProcessedVersion = version
       return
     }
 
+    // Recorded for the dashboard
+    turn = startTurn(contact.id, messageNeedingResponse)
+
+    // A turn paused on held tool calls is decided by this message (see tool-policy.js)
+    const pendingStateName = contactStateName(contact, 'pending-action')
+    const pending = replay ? null : await takePendingAction(pendingStateName)
+    let resume = null
+    if (pending) {
+      const answer = parseConfirmationReply(messageNeedingResponse.content)
+      if (answer === 'no') {
+        const text = pending.toolUses.length === 1 ? 'OK, cancelled.' : `OK, cancelled all ${pending.toolUses.length}.`
+        console.log(`🛑 Held tool calls for ${pending.messageId} cancelled`)
+        await deliverReply(thread, messageNeedingResponse, text, { kind: 'command', key: replyKey })
+        finishTurn(turn, { reply: text, kind: 'command' })
+        metrics.pipelineRuns.inc({ outcome: 'command' })
+        return
+      }
+      if (answer === 'yes') {
+        console.log(`✅ Held tool calls for ${pending.messageId} confirmed`)
+        resume = pending
+      } else {
+        console.log(`🗑️  Held tool calls for ${pending.messageId} discarded - reply wasn't YES/NO`)
+      }
+    }
+
+    // Text commands (e.g. "MORE", "cancel task_123") skip Claude entirely
+    const command = await handleTextCommand(contact, messageNeedingResponse)
+    if (command) {
+      console.log(`⌨️  Handled text command from ${messageNeedingResponse.from}`)
+      await deliverReply(thread, messageNeedingResponse, command.text, { alreadySent: command.alreadySent, kind: 'command', key: replyKey })
+      finishTurn(turn, { reply: command.text, kind: 'command' })
+      metrics.pipelineRuns.inc({ outcome: 'command' })
+      return
+    }
+
+    // Past the hard daily budget only the primary contact still gets answers
+    // (on the small model); everyone else is told to try tomorrow
+    const budget = await getBudgetStatus()
+    if (budget.overHard && !contact.primary) {
+      const text = "I've hit today's spending limit, so I can't answer until tomorrow."
+      console.log(`💸 Daily hard budget reached ($${budget.spent.toFixed(2)}) - not answering ${contact.id}`)
+      await deliverReply(thread, messageNeedingResponse, text, { kind: 'command', key: replyKey })
+      finishTurn(turn, { reply: text, kind: 'command' })
+      metrics.pipelineRuns.inc({ outcome: 'over_budget' })
+      return
+    }
+
+    // Pick the context sections relevant to this conversation
+    const relevantContext = await loadRelevantContext(buildContextQuery(messages), contact.contextRepo)
+
+    // Check for completed tasks from local agent
+    const completedTasks = await checkCompletedTasks()
+    if (completedTasks.length > 0) {
+      console.log(`📋 Found ${completedTasks.length} recently completed tasks`)
+      // Note: We'll include these in responses when relevant, not spam with separate messages
+    }
+
     console.log(`📨 New message from ${messageNeedingResponse.from}: "${messageNeedingResponse.content.substring(0, 50)}..."`)
 
     // Check if this is a complex request that will take time
@@ -995,56 +1452,115 @@ async function processMessages() {
     const isComplexRequest = requestLength > 200 || hasMultipleRequests
 
     if (isComplexRequest) {
-      await sendProgressUpdate('Processing your request... this may take a moment 🧠')
+      await sendProgressUpdate(contact, 'Processing your request... this may take a moment 🧠')
     }
 
-    // Build conversation history
-    const conversationMessages = buildConversationHistory(messages)
-    console.log(`Built conversation with ${conversationMessages.length} messages`)
+    // Build conversation history - a confirmed turn picks up where it paused
+    const conversationMessages = resume ? resume.messages : buildConversationHistory(messages)
+    const summarize = (system, prompt, maxTokens) => completeText(system, prompt, maxTokens, { feature: 'summary', conversation: contact.id })
+    // A replay's history stops at the replayed message, so it only reads the summary
+    const conversationSummary = await getConversationSummary(messages, summarize, {
+      stateName: contactStateName(contact, 'conversation-summary'),
+      userName: contact.name.split(' ')[0],
+      readOnly: replay
+    })
+    console.log(`Built conversation with ${conversationMessages.length} messages${conversationSummary ? ' + summary' : ''}`)
 
-    // Load all tools (Todoist + Composio)
-    const allTools = await getAllTools()
+    // Load the tools this contact may use
+    const allTools = await getAllTools(contact)
 
-    // Call Claude API with full context and tools
-    console.log('🤖 Calling Claude API with full context and tools...')
-    let claudeResponse = await callClaude(conversationMessages, fullContext, completedTasks, allTools)
+    // Simple texts go to the small model unless the contact pinned one.
+    // Past either daily budget everything goes to the small model.
+    const overBudget = budget.overSoft || budget.overHard
+    if (overBudget) {
+      console.log(`💸 Daily ${budget.overHard ? 'hard' : 'soft'} budget reached ($${budget.spent.toFixed(2)}) - using the small model`)
+    }
+    const modelOverride = overBudget ? 'small' : await getModelOverride(contact.id)
+    const routeTurn = toolCalls => chooseTier({
+      text: messageNeedingResponse.content,
+      isComplexRequest,
+      toolCalls,
+      override: modelOverride
+    })
 
-    // Handle tool use if Claude wants to use tools
+    const toolContext = { contact, message: messageNeedingResponse, isComplexRequest, turn }
+    const countsAsOperation = name => name.startsWith('github_') || name === 'create_local_task'
+    let operationsCount = 0
+    let toolCallCount = 0
+
+    const claudeOptions = { contact, tier: routeTurn(0), relevantContext, conversationSummary, completedTasks, tools: allTools }
+    if (resume) {
+      // Run the confirmed calls, then hand Claude every result from the paused step
+      operationsCount += resume.toolUses.filter(toolUse => countsAsOperation(toolUse.name)).length
+      const confirmed = await executeToolCalls(resume.toolUses, toolContext)
+      conversationMessages.push({ role: 'user', content: [...resume.results, ...confirmed] })
+      toolCallCount = resume.toolCallCount
+      claudeOptions.tier = routeTurn(toolCallCount)
+      claudeOptions.feature = 'tool-loop'
+      console.log('🤖 Resuming with confirmed tool results...')
+    } else {
+      console.log('🤖 Calling Claude API with full context and tools...')
+    }
+    let claudeResponse = await callClaude(conversationMessages, claudeOptions)
+    recordModel(turn, claudeResponse.model)
+
+    // Handle tool use if Claude wants to use tools - at most TOOL_LOOP_MAX_ITERATIONS
+    // steps within TOOL_LOOP_TIMEOUT, then Claude answers with what it has
+    const loopDeadline = Date.now() + TOOL_LOOP_TIMEOUT
+    let iterations = 0
+    let cutShort = false
     while (claudeResponse.stopReason === 'tool_use') {
       console.log('🔧 Claude wants to use tools...')
 
-      // Extract text and tool uses from content
-      const textBlocks = claudeResponse.content.filter(block => block.type === 'text')
+      // Extract tool uses from content
       const toolUseBlocks = claudeResponse.content.filter(block => block.type === 'tool_use')
 
       console.log(`   Found ${toolUseBlocks.length} tool calls`)
 
-      // Execute all tool calls
-      const toolResults = []
-      for (const toolUse of toolUseBlocks) {
-        console.log(`   Executing: ${toolUse.name}`)
-        try {
-          let result
-          // Route to correct executor based on tool name
-          if (toolUse.name.startsWith('todoist_')) {
-            result = await executeTodoistAction(toolUse.name, toolUse.input)
-          } else {
-            result = await executeComposioAction(toolUse.name, toolUse.input)
-          }
-
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: toolUse.id,
-            content: JSON.stringify(result)
-          })
-        } catch (error) {
-          toolResults.push({
-            type: 'tool_result',
-            tool_use_id: toolUse.id,
-            content: JSON.stringify({ error: error.message }),
-            is_error: true
-          })
-        }
+      const limit = iterations >= TOOL_LOOP_MAX_ITERATIONS ? 'iterations' : Date.now() > loopDeadline ? 'timeout' : null
+      if (limit) {
+        console.warn(`⏱️  Tool loop stopped (${limit}) after ${iterations} steps - asking for a partial answer`)
+        metrics.turnsCutShort.inc({ reason: limit })
+        cutShort = true
+        conversationMessages.push({ role: 'assistant', content: claudeResponse.content })
+        conversationMessages.push({
+          role: 'user',
+          content: [
+            ...toolUseBlocks.map(toolUse => ({
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              content: JSON.stringify({ error: 'Not run - the tool-call limit for this message was reached' }),
+              is_error: true
+            })),
+            { type: 'text', text: TOOL_LIMIT_NOTE }
+          ]
+        })
+        claudeResponse = await callClaude(conversationMessages, { ...claudeOptions, feature: 'tool-loop', toolChoice: { type: 'none' } })
+        recordModel(turn, claudeResponse.model)
+        break
+      }
+      iterations++
+
+      // Run the auto calls; calls on the confirm policy wait for the contact's YES
+      const held = toolUseBlocks.filter(toolUse => isToolAllowed(contact, toolUse.name) && getToolPolicy(toolUse.name) === 'confirm')
+      const runNow = toolUseBlocks.filter(toolUse => !held.includes(toolUse))
+      operationsCount += runNow.filter(toolUse => countsAsOperation(toolUse.name)).length
+      const toolResults = await executeToolCalls(runNow, toolContext)
+
+      if (held.length > 0) {
+        await savePendingAction(pendingStateName, {
+          messageId: messageNeedingResponse.id,
+          messages: [...conversationMessages, { role: 'assistant', content: claudeResponse.content }],
+          results: toolResults,
+          toolUses: held,
+          toolCallCount: toolCallCount + toolUseBlocks.length
+        })
+        const preview = formatConfirmationRequest(held)
+        console.log(`✋ Holding ${held.length} tool call(s) for confirmation`)
+        await deliverReply(thread, messageNeedingResponse, preview, { key: replyKey })
+        finishTurn(turn, { reply: preview, kind: 'confirmation' })
+        metrics.pipelineRuns.inc({ outcome: 'awaiting_confirmation' })
+        return
       }
 
       // Add assistant message with tool uses to conversation
@@ -1059,200 +1575,344 @@ async function processMessages() {
         content: toolResults
       })
 
-      // Continue conversation with tool results
+      // Continue conversation with tool results - tool-heavy turns move up to the large model
+      toolCallCount += toolUseBlocks.length
+      claudeOptions.tier = routeTurn(toolCallCount)
+      claudeOptions.feature = 'tool-loop'
       console.log('   🤖 Continuing conversation with tool results...')
-      claudeResponse = await callClaude(conversationMessages, fullContext, completedTasks, allTools)
+      claudeResponse = await callClaude(conversationMessages, claudeOptions)
+      recordModel(turn, claudeResponse.model)
     }
 
     // Extract final text response
-    const textContent = claudeResponse.content
+    let textContent = claudeResponse.content
       .filter(block => block.type === 'text')
       .map(block => block.text)
       .join('\n')
 
-    console.log(`✓ Claude responded: "${textContent.substring(0, 50)}..."`)
-
-    // Initialize response
-    let responseForUser = textContent
-    let operationsCount = 0
-
-    // Parse and execute GitHub READ operations
-    const githubReadRegex = /\[GITHUB_READ repo=([^\s]+) path=([^\]]+)\]/g
-    let githubMatch
-    const githubReadMatches = [...textContent.matchAll(githubReadRegex)]
-
-    if (githubReadMatches.length > 0) {
-      operationsCount += githubReadMatches.length
+    // Cut off at max_tokens: send the text as far as it got (a half-written tool call is dropped)
+    if (claudeResponse.stopReason === 'max_tokens') {
+      console.warn('✂️  Claude hit max_tokens - sending the reply as far as it got')
+      metrics.turnsCutShort.inc({ reason: 'max_tokens' })
+      cutShort = true
+      if (textContent.trim()) textContent = `${textContent.trimEnd()}…`
     }
-
-    for (const githubMatch of githubReadMatches) {
-      const repo = githubMatch[1]
-      const path = githubMatch[2]
-      console.log(`📖 Reading from GitHub: ${repo}/${path}`)
-
-      if (githubReadMatches.length > 2 || isComplexRequest) {
-        await sendProgressUpdate(`Reading ${repo}/${path}... 📖`)
-      }
-
-      const result = await readGitHubFile(repo, path)
-      if (result.success) {
-        responseForUser = responseForUser.replace(githubMatch[0], `\n[Read ${repo}/${path}]\n`)
-      } else {
-        responseForUser = responseForUser.replace(githubMatch[0], `[Error: ${result.error}]`)
-      }
+    if (cutShort && !textContent.trim()) {
+      textContent = CUT_SHORT_FALLBACK
     }
 
-    // Parse and execute GitHub WRITE operations
-    const githubWriteRegex = /\[GITHUB_WRITE repo=([^\s]+) path=([^\s]+) message="([^"]+)"\]\n([\s\S]*?)\[\/GITHUB_WRITE\]/g
-    const githubWriteMatches = [...textContent.matchAll(githubWriteRegex)]
+    console.log(`✓ Claude responded: "${textContent.substring(0, 50)}..."`)
 
-    if (githubWriteMatches.length > 0) {
-      operationsCount += githubWriteMatches.length
+    // Send completion update if it was a complex request
+    if (operationsCount > 5) {
+      await sendProgressUpdate(contact, 'Compiling results... almost done! ✨')
     }
 
-    for (const githubMatch of githubWriteMatches) {
-      const repo = githubMatch[1]
-      const path = githubMatch[2]
-      const message = githubMatch[3]
-      const content = githubMatch[4].trim()
-      console.log(`✍️  Writing to GitHub: ${repo}/${path}`)
+    await deliverReply(thread, messageNeedingResponse, textContent, { key: replyKey })
+    finishTurn(turn, { reply: textContent })
+    metrics.pipelineRuns.inc({ outcome: 'replied' })
 
-      if (githubWriteMatches.length > 1 || isComplexRequest) {
-        await sendProgressUpdate(`Updating ${repo}/${path}... ✍️`)
-      }
+    console.log('✅ Response cycle complete\n')
 
-      const existing = await readGitHubFile(repo, path)
-      const result = await writeGitHubFile(repo, path, content, message, existing.success ? existing.sha : null)
-      if (result.success) {
-        responseForUser = responseForUser.replace(githubMatch[0], `[✅ Updated ${repo}/${path}]`)
-      } else {
-        responseForUser = responseForUser.replace(githubMatch[0], `[Error: ${result.error}]`)
-      }
+  } catch (error) {
+    console.error('❌ Error:', error.message)
+    console.error('   Stack:', error.stack)
+    lastError = {
+      message: error.message,
+      stack: error.stack,
+      time: new Date().toISOString()
     }
-
-    // Parse and execute GitHub LIST REPOS
-    if (textContent.includes('[GITHUB_LIST_REPOS]')) {
-      console.log('📋 Listing GitHub repos...')
-      const result = await listGitHubRepos()
-      if (result.success) {
-        const repoList = result.repos.slice(0, 10).map(r => `${r.name}`).join(', ')
-        responseForUser = responseForUser.replace('[GITHUB_LIST_REPOS]', `Your repos: ${repoList}`)
-      }
+    recordError('pipeline', error)
+    if (turn) finishTurn(turn, { error: error.message })
+    failed = true
+    metrics.pipelineRuns.inc({ outcome: 'error' })
+  } finally {
+    isProcessing = false
+    if (failed && retryOnFailure) {
+      scheduleInboundRetry(thread)
+    } else if (!failed) {
+      thread.inboundRetries = 0
     }
-
-    // Parse and create tasks if requested (LOCAL operations only)
-    const taskRegex = /\[CREATE_TASK priority=(high|normal|low)\]([\s\S]*?)\[\/CREATE_TASK\]/g
-    let match
-    const taskMatches = [...textContent.matchAll(taskRegex)]
-
-    if (taskMatches.length > 0) {
-      operationsCount += taskMatches.length
-      if (taskMatches.length > 3 || isComplexRequest) {
-        await sendProgressUpdate(`Creating ${taskMatches.length} tasks for local agent... 📋`)
-      }
+    // Messages that arrived mid-run are picked up right away (with a backoff after failures)
+    if (inboundQueue.length > 0) {
+      setTimeout(runInboundQueue, failed ? 5000 : 0)
     }
+  }
+}
 
-    for (const match of taskMatches) {
-      const priority = match[1]
-      const taskDescription = match[2].trim()
+// ============================================================================
+// ADMIN API - token-protected operations (see admin-api.js)
+// ============================================================================
 
-      console.log(`📋 Creating ${priority} priority task...`)
+async function buildStatus() {
+  return {
+    status: paused ? 'paused' : 'running',
+    paused,
+    inboundMode: INBOUND_MODE,
+    inboundQueueLength: inboundQueue.length,
+    threads: [...threads.values()].map(thread => ({
+      contact: thread.contact.id,
+      store: `${thread.store.name}:${thread.store.label}`,
+      lastProcessedVersion: thread.lastProcessedVersion?.substring(0, 7)
+    })),
+    stateStore: getStateStoreName(),
+    isProcessing,
+    processCount,
+    lastProcessTime,
+    lastError,
+    githubAuth: getGitHubAuthStatus(),
+    toolProviders: await getToolProviderStatus().catch(error => ({ error: error.message })),
+    proactive: await getProactiveStatus().catch(error => ({ error: error.message })),
+    models: getModelRoutingStatus(),
+    usage: await Promise.all([getTodayUsage(), getBudgetStatus()])
+      .then(([today, budget]) => ({
+        today: today.total,
+        byFeature: today.byFeature,
+        promptCache: {
+          hitRate: cacheHitRate(today.total),
+          byFeature: Object.fromEntries(Object.entries(today.byFeature)
+            .map(([feature, counter]) => [feature, cacheHitRate(counter)]))
+        },
+        budget
+      }))
+      .catch(error => ({ error: error.message })),
+    outbox: await getOutboxStatus().catch(error => ({ error: error.message })),
+    uptime: process.uptime(),
+    config: getRedactedConfig()
+  }
+}
 
-      // Send update for each task if there are many
-      if (taskMatches.length > 5) {
-        const taskNumber = taskMatches.indexOf(match) + 1
-        await sendProgressUpdate(`Creating task ${taskNumber}/${taskMatches.length}... 💻`)
-      }
+// `contactId` from a request body, defaulting to the primary contact
+async function requireContact(contactId) {
+  if (!contactId) return getPrimaryContact()
 
-      const taskId = await createTask(taskDescription, priority)
+  const contact = await getContact(contactId)
+  if (!contact) {
+    throw httpError(404, `Unknown contact "${contactId}"`)
+  }
+  return contact
+}
 
-      if (taskId) {
-        // Replace task marker with confirmation message
-        responseForUser = responseForUser.replace(
-          match[0],
-          `[Task created: ${taskId}]`
-        )
-      }
+const handleAdminRequest = createAdminApi({
+  'GET /status': buildStatus,
+
+  'GET /admin/errors': async () => ({ errors: getRecentErrors() }),
+
+  // HTML view of one contact's thread and the agent's recent activity (?contact=<id>)
+  'GET /dashboard': async ({ query }) => {
+    const { contacts } = await loadContacts()
+    const contact = await requireContact(query.contact)
+    const thread = getThread(contact)
+    const asError = error => ({ error: error.message })
+
+    const [status, messages, tasks, scheduled] = await Promise.all([
+      buildStatus(),
+      thread.store.load().then(({ messages }) => messages.slice(-DASHBOARD_MESSAGES)).catch(asError),
+      listTasks({ limit: 20 }).catch(asError),
+      listScheduledMessages({ includeInactive: true, contact }).then(jobs => jobs.slice(-20)).catch(asError)
+    ])
+
+    return htmlPage(renderDashboard({
+      contacts,
+      contactId: contact.id,
+      status,
+      messages,
+      turns: getRecentTurns({ contactId: contact.id }),
+      tasks,
+      scheduled
+    }))
+  },
+
+  // Stop answering texts and sending scheduled/proactive messages. Webhook
+  // messages are still recorded in the conversation store (and answered on
+  // resume), and already-queued outbox deliveries finish.
+  'POST /admin/pause': async ({ body }) => {
+    paused = paused || { since: new Date().toISOString(), reason: body.reason || null }
+    console.log(`⏸️  Paused by admin${paused.reason ? `: ${paused.reason}` : ''}`)
+    return { paused }
+  },
+
+  'POST /admin/resume': async () => {
+    const wasPaused = !!paused
+    paused = null
+    if (wasPaused) {
+      console.log('▶️  Resumed by admin')
+      // Answer whatever arrived while paused
+      setTimeout(async () => {
+        try {
+          await processInboundQueue()
+          await processMessages()
+        } catch (error) {
+          console.error('❌ Resume failed:', error.message)
+        }
+      }, 0)
     }
+    return { resumed: wasPaused }
+  },
 
-    // If we created many tasks, let user know local agent is working on them
-    if (taskMatches.length > 3) {
-      await sendProgressUpdate(`${taskMatches.length} tasks created. Local agent executing... ⚙️`)
+  // Send a text as the agent; it's logged in the contact's thread too
+  'POST /admin/send': async ({ body }) => {
+    if (typeof body.text !== 'string' || !body.text.trim()) {
+      throw httpError(400, '"text" is required')
     }
+    const contact = await requireContact(body.contactId)
+    const id = `manual_${Date.now()}`
+    const text = body.text.trim()
 
-    // Send completion update if it was a complex request
-    if (operationsCount > 5 || (taskMatches.length > 0 && isComplexRequest)) {
-      await sendProgressUpdate('Compiling results... almost done! ✨')
+    // Queued under the processing lock, like every other outbox writer
+    if (isProcessing) {
+      throw httpError(409, 'Busy answering another message - try again in a moment')
     }
-
-    // Send to Poke
-    console.log('📤 Sending to Poke...')
+    isProcessing = true
     try {
-      await sendToPoke(responseForUser)
-      console.log('✓ Sent to Poke successfully')
-    } catch (error) {
-      console.error('❌ FAILED to send to Poke:', error.message)
-      console.error('   POKE_API_KEY length:', POKE_API_KEY ? POKE_API_KEY.length : 0)
-      // Continue to log to GitHub even if Poke fails
+      await enqueueOutbox([
+        { key: `manual:${id}:sms`, type: 'sms', payload: { contactId: contact.id, text } },
+        {
+          key: `manual:${id}:log`,
+          type: 'log-messages',
+          payload: {
+            contactId: contact.id,
+            messages: [{ id, from: 'Claude', content: text, timestamp: new Date().toISOString() }]
+          }
+        }
+      ])
+      await processOutbox()
+    } finally {
+      isProcessing = false
+      if (inboundQueue.length > 0) {
+        setTimeout(runInboundQueue, 0)
+      }
     }
+    return { queued: `manual:${id}`, contactId: contact.id }
+  },
 
-    // Log to GitHub
-    console.log('📝 Logging to GitHub...')
-    const result = await logToGitHub(content, sha, responseForUser)
-    console.log(`✓ Logged to GitHub (${result.commit.sha.substring(0, 7)})`)
+  // Answer a message again, with the conversation as it was up to that message
+  'POST /admin/replay': async ({ body }) => {
+    if (!body.messageId) {
+      throw httpError(400, '"messageId" is required')
+    }
+    const thread = getThread(await requireContact(body.contactId))
 
-    // Update last processed hash
-    lastProcessedHash = result.content.sha
+    const { messages } = await thread.store.load()
+    const index = messages.findIndex(msg => msg.id === body.messageId)
+    if (index === -1) {
+      throw httpError(404, `No message ${body.messageId} in ${thread.contact.id}'s thread`)
+    }
+    if (messages[index].from === 'Claude') {
+      throw httpError(400, 'Only inbound messages can be replayed')
+    }
+    if (isProcessing) {
+      throw httpError(409, 'Busy answering another message - try again in a moment')
+    }
 
-    console.log('✅ Response cycle complete\n')
+    const loadUntilMessage = async () => {
+      const { messages: latest, version } = await thread.store.load()
+      return { messages: latest.slice(0, latest.findIndex(msg => msg.id === body.messageId) + 1), version }
+    }
+    // Answering takes a while - the reply goes out through the outbox as usual
+    runResponsePipeline(thread, loadUntilMessage, { replay: true })
+    return { replaying: body.messageId, contactId: thread.contact.id }
+  },
+
+  'POST /admin/clear-caches': async ({ body }) => {
+    const caches = body.caches || ['tools', 'context', 'contacts']
+    const unknown = [].concat(caches).filter(cache => !['tools', 'context', 'contacts'].includes(cache))
+    if (!Array.isArray(caches) || unknown.length > 0) {
+      throw httpError(400, `"caches" must be a list of tools, context and/or contacts`)
+    }
 
-  } catch (error) {
-    console.error('❌ Error:', error.message)
-    console.error('   Stack:', error.stack)
-    lastError = {
-      message: error.message,
-      stack: error.stack,
-      time: new Date().toISOString()
+    for (const cache of caches) {
+      if (cache === 'tools') {
+        clearToolCaches()
+      } else if (cache === 'context') {
+        clearContextCache()
+        clearContextIndexCache()
+        clearConditionalCache()
+      } else {
+        clearContactsCache()
+      }
     }
-  } finally {
-    isProcessing = false
+    console.log(`🧹 Cleared caches: ${caches.join(', ')}`)
+    return { cleared: caches }
+  },
+
+  'POST /admin/proactive-check': async () => {
+    const sent = await runProactiveCheck({ manual: true }).catch(error => {
+      throw error.statusCode ? error : httpError(502, `Proactive check failed: ${error.message}`)
+    })
+    return { sent: sent.length }
   }
-}
+}, { readBody: readRequestBody })
 
 async function start() {
+  installLogger()
   console.log('🚀 Cloud-Based Always-On Claude Agent')
-  console.log(`📊 Polling: ${POLL_INTERVAL}ms`)
-  console.log(`📂 Monitoring: ${GITHUB_REPO}/${MESSAGE_FILE}`)
+  assertValidConfig()
+  if (INBOUND_MODE === 'poll') {
+    console.log(`📊 Polling: ${POLL_INTERVAL}ms`)
+  } else {
+    console.log('📬 Inbound: POST /webhook/inbound')
+  }
   console.log(`🌍 Running 24/7 in the cloud`)
   console.log(`🧠 Full context access enabled`)
+  console.log(`🔑 GitHub auth: ${getGitHubAuthStatus().mode}`)
   console.log(`📨 Proactive messaging enabled`)
   console.log('---\n')
 
-  // Test context loading
+  if (INBOUND_MODE !== 'poll' && !WEBHOOK_SECRET) {
+    console.warn('⚠️  INBOUND_MODE is webhook but WEBHOOK_SECRET is not set - inbound messages will be rejected')
+  }
+  if (!isAdminConfigured()) {
+    console.warn('⚠️  ADMIN_TOKEN is not set - /status and the admin API are disabled')
+  }
+
+  registerBuiltinToolProviders()
+  await loadToolPlugins()
+  registerSignalProviders()
+  registerOutboxHandlers()
+
+  try {
+    const { contacts, singleUser } = await loadContacts()
+    for (const contact of contacts) {
+      const { store } = getThread(contact)
+      console.log(`📂 ${contact.id}: ${store.label} (${store.name} store)`)
+    }
+    if (singleUser) {
+      console.log('👤 No CONTACTS.json - single-user mode')
+    }
+  } catch (error) {
+    // Lookups retry on every message until the registry loads
+    console.error('⚠️  Contacts not loaded yet:', error.message)
+  }
+
+  // Test context loading - a failure here shouldn't stop the agent from starting
   console.log('🔍 Testing context loading...')
-  const testContext = await loadFullContext()
-  console.log(`✓ Loaded ${testContext.length} chars of context\n`)
-
-  // Start HTTP server for Render health checks
-  const PORT = process.env.PORT || 10000
-
-  const server = createServer((req, res) => {
-    if (req.url === '/status') {
-      res.writeHead(200, { 'Content-Type': 'application/json' })
-      res.end(JSON.stringify({
-        status: 'running',
-        lastProcessedHash: lastProcessedHash?.substring(0, 7),
-        isProcessing,
-        processCount,
-        lastProcessTime,
-        lastError,
-        uptime: process.uptime(),
-        envVars: {
-          GITHUB_TOKEN: process.env.GITHUB_TOKEN ? `${process.env.GITHUB_TOKEN.length} chars` : 'not set',
-          CLAUDE_API_KEY: !!process.env.CLAUDE_API_KEY,
-          POKE_API_KEY: !!process.env.POKE_API_KEY
+  try {
+    const testContext = await loadContext()
+    console.log(`✓ Loaded ${testContext.text.length} chars of context\n`)
+  } catch (error) {
+    console.error('⚠️  Context loading failed:', error.message)
+    recordError('context', error)
+  }
+
+  // Start HTTP server for Render health checks and inbound webhooks
+  const PORT = config.port
+
+  const server = createServer(async (req, res) => {
+    if (req.method === 'POST' && req.url === '/webhook/inbound') {
+      runWithLogContext({}, () => handleInboundWebhook(req, res)).catch(error => {
+        console.error('❌ Webhook error:', error.message)
+        recordError('webhook', error)
+        if (!res.headersSent) {
+          res.writeHead(500, { 'Content-Type': 'application/json' })
+          res.end(JSON.stringify({ error: 'Internal error' }))
         }
-      }, null, 2))
+      })
+    } else if (req.url === '/metrics') {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' })
+      res.end(renderMetrics())
+    } else if (handleAdminRequest(req, res)) {
+      // Answered by the admin API (/status, /admin/*)
     } else {
       res.writeHead(200, { 'Content-Type': 'text/plain' })
       res.end('Poke Agent Running\n')
@@ -1262,15 +1922,25 @@ async function start() {
     console.log(`✓ HTTP server listening on port ${PORT}`)
   })
 
-  // Initial process
+  // Initial process - finish any deliveries interrupted by a restart, then
+  // catch anything that arrived while we were down
   try {
+    await runOutboxTick()
     await processMessages()
   } catch (error) {
     console.error('Failed initial processing:', error.message)
   }
 
-  // Start polling
-  setInterval(processMessages, POLL_INTERVAL)
+  // Start polling (fallback mode only)
+  if (INBOUND_MODE === 'poll') {
+    setInterval(processMessages, POLL_INTERVAL)
+  }
+
+  // Proactive checks and scheduled messages run regardless of inbound mode
+  setInterval(() => runProactiveCheck(), PROACTIVE_CHECK_INTERVAL)
+  setInterval(runSchedulerTick, SCHEDULER_TICK_INTERVAL)
+  setInterval(runOutboxTick, OUTBOX_TICK_INTERVAL)
+  setInterval(flushUsage, USAGE_FLUSH_INTERVAL)
 
   console.log('✓ Agent is now running 24/7\n')
 }
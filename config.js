@@ -0,0 +1,288 @@
+/**
+ * Configuration
+ * Every setting the agent reads, in one schema. Values come from (highest
+ * priority first):
+ *
+ *   1. environment variables (the `env` names below)
+ *   2. an optional config file - CONFIG_FILE, or agent.config.json /
+ *      agent.config.yaml / agent.config.yml in the working directory,
+ *      using the camelCase keys below
+ *   3. the defaults below
+ *
+ * Problems (missing required values, numbers that aren't numbers, unknown
+ * enum values, bad time zones...) are collected instead of thrown, so
+ * assertValidConfig() can report all of them at once on startup.
+ * Secrets never leave this module unredacted except through `config`.
+ */
+
+import { existsSync, readFileSync } from 'fs'
+import { extname } from 'path'
+import { parse as parseYaml } from 'yaml'
+
+const DEFAULT_CONFIG_FILES = ['agent.config.json', 'agent.config.yaml', 'agent.config.yml']
+
+const SCHEMA = {
+  // Credentials
+  claudeApiKey: { env: ['CLAUDE_API_KEY', 'ANTHROPIC_API_KEY'], type: 'string', required: true, secret: true },
+  pokeApiKey: { env: 'POKE_API_KEY', type: 'string', required: true, secret: true },
+  githubToken: { env: 'GITHUB_TOKEN', type: 'string', secret: true },
+  githubAppId: { env: 'GITHUB_APP_ID', type: 'string', default: '2752810' },
+  githubAppInstallationId: { env: 'GITHUB_APP_INSTALLATION_ID', type: 'string', default: '106770428' },
+  githubAppPrivateKey: { env: 'GITHUB_APP_PRIVATE_KEY', type: 'string', secret: true },
+  githubAppPrivateKeyPath: { env: 'GITHUB_APP_PRIVATE_KEY_PATH', type: 'string', default: './claude-agent-app.pem' },
+  composioApiKey: { env: 'COMPOSIO_API_KEY', type: 'string', secret: true },
+  todoistApiKey: { env: 'TODOIST_API_KEY', type: 'string', secret: true },
+  webhookSecret: { env: 'WEBHOOK_SECRET', type: 'string', secret: true },
+  adminToken: { env: 'ADMIN_TOKEN', type: 'string', secret: true },
+
+  // Where things live
+  contextRepo: { env: 'CONTEXT_REPO', type: 'repo', default: 'calebnewtonusc/claude-context' },
+  githubOwner: { env: 'GITHUB_OWNER', type: 'string', default: 'calebnewtonusc' },
+  messageFile: { env: 'MESSAGE_FILE', type: 'string', default: 'POKE_MESSAGES.md' },
+  conversationStore: { env: 'CONVERSATION_STORE', type: 'enum', values: ['github', 'local'], default: 'github' },
+  stateStore: { env: 'STATE_STORE', type: 'enum', values: ['github', 'local'], default: config => config.conversationStore },
+  dataDir: { env: 'DATA_DIR', type: 'string', default: './data' },
+
+  // Messaging
+  ownerName: { env: 'OWNER_NAME', type: 'string', default: 'Caleb Newton' },
+  ownerSenderId: { env: 'OWNER_SENDER_ID', type: 'string', default: 'caleb_newton' },
+  ownerPhone: { env: 'OWNER_PHONE', type: 'phone', default: '+13104296285' },
+  pokeApiUrl: { env: 'POKE_API_URL', type: 'url', default: 'https://poke.com/api/v1/inbound-sms/webhook' },
+  inboundMode: { env: 'INBOUND_MODE', type: 'enum', values: ['webhook', 'poll'], default: config => config.webhookSecret ? 'webhook' : 'poll' },
+  pollInterval: { env: 'POLL_INTERVAL', type: 'int', min: 500, default: 2000 },
+  port: { env: 'PORT', type: 'int', min: 1, default: 10000 },
+
+  // Observability (see logger.js and metrics.js)
+  logFormat: { env: 'LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text' },
+
+  // Model and prompt (see model-router.js)
+  model: { env: 'CLAUDE_MODEL', type: 'string', default: 'claude-sonnet-4-5-20250929' },
+  smallModel: { env: 'CLAUDE_SMALL_MODEL', type: 'string', default: 'claude-haiku-4-5-20251001' },
+  fallbackModels: { env: 'CLAUDE_FALLBACK_MODELS', type: 'list', default: ['claude-sonnet-4-20250514'] },
+  maxTokens: { env: 'CLAUDE_MAX_TOKENS', type: 'int', min: 256, default: 2000 },
+  smallMaxTokens: { env: 'CLAUDE_SMALL_MAX_TOKENS', type: 'int', min: 256, default: 1024 },
+
+  // Usage and budgets (see usage.js) - USD per million tokens, budgets in USD per day, 0 = off
+  modelPrices: {
+    env: 'MODEL_PRICES',
+    type: 'json',
+    default: null,
+    validate: value => value === null || typeof value !== 'object' || Array.isArray(value)
+      ? 'expected an object of model -> { input, output, cacheWrite?, cacheRead? }'
+      : Object.entries(value)
+        .map(([model, price]) => {
+          if (price === null || typeof price !== 'object' || Array.isArray(price)) return `"${model}": expected { input, output, cacheWrite?, cacheRead? }`
+          // cacheWrite and cacheRead are optional and default to the input price
+          const bad = ['input', 'output', 'cacheWrite', 'cacheRead']
+            .filter(field => field.startsWith('cache') && price[field] === undefined ? false : !(Number.isFinite(price[field]) && price[field] >= 0))
+          return bad.length > 0 ? `"${model}": ${bad.join(', ')} must be a number >= 0` : null
+        })
+        .filter(Boolean)
+        .join('; ') || null
+  },
+  dailySoftBudget: { env: 'DAILY_SOFT_BUDGET', type: 'number', min: 0, default: 0 },
+  dailyHardBudget: { env: 'DAILY_HARD_BUDGET', type: 'number', min: 0, default: 0 },
+  contextTokenBudget: { env: 'CONTEXT_TOKEN_BUDGET', type: 'int', min: 500, default: 8000 },
+  summaryWindow: { env: 'SUMMARY_WINDOW', type: 'int', min: 1, default: 10 },
+  summaryMaxChars: { env: 'SUMMARY_MAX_CHARS', type: 'int', min: 100, default: 2000 },
+
+  // Tool loop guards - steps of tool calls per message, time per message and per call, result size
+  toolLoopMaxIterations: { env: 'TOOL_LOOP_MAX_ITERATIONS', type: 'int', min: 1, default: 8 },
+  toolLoopTimeoutMs: { env: 'TOOL_LOOP_TIMEOUT_MS', type: 'int', min: 10000, default: 120000 },
+  toolTimeoutMs: { env: 'TOOL_TIMEOUT_MS', type: 'int', min: 1000, default: 30000 },
+  toolResultMaxChars: { env: 'TOOL_RESULT_MAX_CHARS', type: 'int', min: 1000, default: 20000 },
+
+  // Tools (see tool-policy.js) - { "tool name or glob": "auto" | "confirm" | "deny" }
+  toolPolicies: {
+    env: 'TOOL_POLICIES',
+    type: 'json',
+    default: null,
+    validate: value => value === null || typeof value !== 'object' || Array.isArray(value)
+      ? 'expected an object of tool name -> policy'
+      : Object.entries(value)
+        .filter(([, policy]) => !['auto', 'confirm', 'deny'].includes(policy))
+        .map(([tool, policy]) => `"${tool}": expected auto, confirm or deny, got "${policy}"`)
+        .join('; ') || null
+  },
+
+  // Delivery
+  outboxMaxAttempts: { env: 'OUTBOX_MAX_ATTEMPTS', type: 'int', min: 1, default: 8 },
+  smsMaxLength: { env: 'SMS_MAX_LENGTH', type: 'int', min: 160, default: 1500 },
+  smsMaxParts: { env: 'SMS_MAX_PARTS', type: 'int', min: 1, default: 4 },
+  smsPartDelayMs: { env: 'SMS_PART_DELAY_MS', type: 'int', min: 0, default: 2000 },
+  smsDeliveryMode: { env: 'SMS_DELIVERY_MODE', type: 'enum', values: ['split', 'more'], default: 'split' },
+
+  // Scheduling and proactive messages
+  schedulerTimezone: { env: 'SCHEDULER_TIMEZONE', type: 'timezone', default: 'America/Los_Angeles' },
+  proactiveDailyLimit: { env: 'PROACTIVE_DAILY_LIMIT', type: 'int', min: 0, default: 3 },
+  proactiveMinUrgency: { env: 'PROACTIVE_MIN_URGENCY', type: 'number', min: 0, max: 1, default: 0.5 },
+  proactiveQuietStart: { env: 'PROACTIVE_QUIET_START', type: 'int', min: 0, max: 23, default: 21 },
+  proactiveQuietEnd: { env: 'PROACTIVE_QUIET_END', type: 'int', min: 0, max: 23, default: 9 }
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+// Returns { value } or { error }. Env values are strings; file values may already be typed.
+function coerce(spec, raw) {
+  if (spec.type === 'list') {
+    const items = (Array.isArray(raw) ? raw : String(raw).split(','))
+      .map(item => String(item).trim())
+      .filter(Boolean)
+    return { value: items }
+  }
+
+  if (spec.type === 'json') {
+    if (typeof raw === 'object') return { value: raw }
+    try {
+      return { value: JSON.parse(raw) }
+    } catch (error) {
+      return { error: `expected JSON (${error.message})` }
+    }
+  }
+
+  const text = String(raw).trim()
+
+  switch (spec.type) {
+    case 'int':
+    case 'number': {
+      const value = Number(text)
+      if (text === '' || !Number.isFinite(value) || (spec.type === 'int' && !Number.isInteger(value))) {
+        return { error: `expected ${spec.type === 'int' ? 'an integer' : 'a number'}, got "${text}"` }
+      }
+      if (spec.min !== undefined && value < spec.min) return { error: `must be at least ${spec.min}` }
+      if (spec.max !== undefined && value > spec.max) return { error: `must be at most ${spec.max}` }
+      return { value }
+    }
+
+    case 'enum':
+      return spec.values.includes(text)
+        ? { value: text }
+        : { error: `expected one of ${spec.values.join(', ')}, got "${text}"` }
+
+    case 'repo':
+      return /^[\w.-]+\/[\w.-]+$/.test(text) ? { value: text } : { error: `expected owner/name, got "${text}"` }
+
+    case 'phone':
+      return /^\+\d{7,15}$/.test(text) ? { value: text } : { error: `expected an E.164 number like +13105550100, got "${text}"` }
+
+    case 'url':
+      try {
+        return { value: new URL(text).toString() }
+      } catch {
+        return { error: `expected a URL, got "${text}"` }
+      }
+
+    case 'timezone':
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: text })
+        return { value: text }
+      } catch {
+        return { error: `unknown time zone "${text}"` }
+      }
+
+    default:
+      return text ? { value: text } : { error: 'must not be empty' }
+  }
+}
+
+function findConfigFile() {
+  if (process.env.CONFIG_FILE) return process.env.CONFIG_FILE
+  return DEFAULT_CONFIG_FILES.find(file => existsSync(file)) || null
+}
+
+function readConfigFile(file, errors) {
+  try {
+    const raw = readFileSync(file, 'utf-8')
+    const parsed = ['.yaml', '.yml'].includes(extname(file)) ? parseYaml(raw) : JSON.parse(raw)
+
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(`${file}: expected an object of settings`)
+      return {}
+    }
+    for (const key of Object.keys(parsed)) {
+      if (!SCHEMA[key]) errors.push(`${file}: unknown setting "${key}"`)
+    }
+    return parsed
+  } catch (error) {
+    errors.push(`${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`)
+    return {}
+  }
+}
+
+function loadConfig() {
+  const errors = []
+  const file = findConfigFile()
+  const fromFile = file ? readConfigFile(file, errors) : {}
+  const values = {}
+  const deferred = []
+
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    const envNames = [].concat(spec.env)
+    const envName = envNames.find(name => process.env[name] !== undefined && process.env[name] !== '')
+    const raw = envName ? process.env[envName] : fromFile[key]
+    const source = envName || `${file}:${key}`
+
+    if (raw === undefined || raw === null || raw === '') {
+      if (typeof spec.default === 'function') {
+        deferred.push(key)
+      } else {
+        values[key] = spec.default ?? null
+        if (spec.required) errors.push(`${envNames[0]} is required`)
+      }
+      continue
+    }
+
+    const coerced = coerce(spec, raw)
+    const { value } = coerced
+    const error = coerced.error || (spec.validate && spec.validate(value))
+    if (error) {
+      errors.push(`${source} ${error}`)
+      if (typeof spec.default === 'function') {
+        deferred.push(key)
+      } else {
+        values[key] = spec.default ?? null
+      }
+    } else {
+      values[key] = value
+    }
+  }
+
+  // Defaults that depend on other settings
+  for (const key of deferred) {
+    values[key] = SCHEMA[key].default(values)
+  }
+
+  return { values, errors, file }
+}
+
+const loaded = loadConfig()
+
+export const config = Object.freeze(loaded.values)
+
+/**
+ * Exit with every configuration problem listed, instead of failing later
+ * halfway through a request.
+ */
+export function assertValidConfig() {
+  if (loaded.errors.length === 0) {
+    console.log(`⚙️  Config OK${loaded.file ? ` (env + ${loaded.file})` : ' (env)'}`)
+    return
+  }
+
+  console.error('❌ Invalid configuration:')
+  for (const error of loaded.errors) {
+    console.error(`   - ${error}`)
+  }
+  process.exit(1)
+}
+
+// Effective config for /status - secrets only say whether they're set
+export function getRedactedConfig() {
+  const redacted = {}
+  for (const [key, spec] of Object.entries(SCHEMA)) {
+    redacted[key] = spec.secret ? (config[key] ? '[set]' : null) : config[key]
+  }
+  return { file: loaded.file, values: redacted }
+}
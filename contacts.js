@@ -0,0 +1,188 @@
+/**
+ * Contacts Registry
+ * One deployment can text with several people. CONTACTS.json in the context
+ * repo maps each person to where their texts come from and go to:
+ *
+ *   {
+ *     "contacts": [
+ *       {
+ *         "id": "caleb",
+ *         "name": "Caleb Newton",
+ *         "senders": ["caleb_newton"],
+ *         "phone": "+13104296285",
+ *         "contextRepo": "calebnewtonusc/claude-context",
+ *         "persona": "Text like a close friend who knows Caleb well.",
+ *         "tools": ["*"],
+ *         "primary": true
+ *       },
+ *       { "id": "maya", "name": "Maya", "senders": ["maya"], "phone": "+13105550100", "tools": ["recall_facts", "schedule_*"] }
+ *     ]
+ *   }
+ *
+ * - senders: inbound sender ids that belong to this contact (the id itself always does)
+ * - contextRepo: where their context files and memories live. Required for
+ *   context and memory tools: a contact without one gets neither, so nobody
+ *   reads or writes the primary contact's personal files by default
+ * - threadPath: their conversation log, in their contextRepo or else the primary's
+ *   (default POKE_MESSAGES.md for the primary contact, threads/<id>.md for everyone else)
+ * - tools: tool names or globs they may use (default: everything for the primary
+ *   contact, scheduling tools - plus memory tools with a contextRepo - for everyone else)
+ * - primary: gets proactive messages and keeps the original single-user state.
+ *   Defaults to the first contact.
+ *
+ * A GitHub-free setup (CONVERSATION_STORE=local, or no GitHub credentials)
+ * reads DATA_DIR/CONTACTS.json instead.
+ *
+ * Without a CONTACTS.json the agent runs single-user: the owner from config
+ * (OWNER_NAME / OWNER_PHONE) is the only contact and every sender is them.
+ * Only a missing file means single-user - if the first load fails, lookups
+ * throw (and are retried) rather than send everyone to the primary thread.
+ */
+
+import { readFile } from 'fs/promises'
+import { join } from 'path'
+import { readGitHubJson } from './github.js'
+import { isGitHubAppConfigured } from './github-app-auth.js'
+import { globToRegExp } from './context-loader.js'
+import { config } from './config.js'
+
+const CONTEXT_REPO = config.contextRepo
+const CONTACTS_FILE = 'CONTACTS.json'
+const CONTACTS_SOURCE = config.conversationStore === 'local' || !(config.githubToken || isGitHubAppConfigured())
+  ? 'local'
+  : 'github'
+const CONTACTS_CACHE_DURATION = 5 * 60 * 1000 // 5 minutes
+
+// Single-user mode: just the owner from config
+const DEFAULT_CONTACTS = {
+  contacts: [{
+    id: config.ownerSenderId,
+    name: config.ownerName,
+    phone: config.ownerPhone,
+    primary: true
+  }]
+}
+
+// Tools that read or write the contact's contextRepo
+const REPO_TOOLS = ['remember_fact', 'recall_facts', 'forget_fact']
+
+const SECONDARY_DEFAULT_TOOLS = [
+  'schedule_message',
+  'list_scheduled',
+  'cancel_scheduled'
+]
+
+let registry = null
+let registryLoadedAt = 0
+
+function normalizeContacts(raw) {
+  const contacts = []
+
+  for (const entry of raw.contacts || []) {
+    if (!entry.id || !entry.phone) {
+      console.log(`⚠️  Skipping contact without id or phone: ${JSON.stringify(entry)}`)
+      continue
+    }
+    contacts.push({ ...entry })
+  }
+
+  if (contacts.length === 0) {
+    throw new Error('no valid contacts')
+  }
+
+  const primary = contacts.find(contact => contact.primary) || contacts[0]
+  const primaryRepo = primary.contextRepo || CONTEXT_REPO
+
+  for (const contact of contacts) {
+    contact.primary = contact === primary
+    contact.name = contact.name || contact.id
+    contact.senders = [contact.id, ...(contact.senders || [])]
+    contact.contextRepo = contact.primary ? primaryRepo : contact.contextRepo || null
+    contact.threadRepo = contact.contextRepo || primaryRepo
+    contact.threadPath = contact.threadPath || (contact.primary ? config.messageFile : `threads/${contact.id}.md`)
+    contact.persona = contact.persona || ''
+    contact.tools = contact.tools ||
+      (contact.primary ? ['*'] : contact.contextRepo ? [...REPO_TOOLS, ...SECONDARY_DEFAULT_TOOLS] : SECONDARY_DEFAULT_TOOLS)
+    contact.toolPatterns = contact.tools.map(globToRegExp)
+  }
+
+  return { contacts, primary }
+}
+
+async function readLocalContacts() {
+  const file = join(config.dataDir, CONTACTS_FILE)
+  try {
+    return { value: JSON.parse(await readFile(file, 'utf-8')), sha: null }
+  } catch (error) {
+    if (error.code === 'ENOENT') return { value: null, sha: null }
+    throw new Error(`Failed to read ${file}: ${error.message}`)
+  }
+}
+
+/**
+ * The registry, re-read from the context repo (or DATA_DIR) every few minutes.
+ * Returns { contacts, primary, singleUser }.
+ */
+export async function loadContacts() {
+  if (registry && Date.now() - registryLoadedAt < CONTACTS_CACHE_DURATION) {
+    return registry
+  }
+
+  try {
+    const { value, sha } = CONTACTS_SOURCE === 'local'
+      ? await readLocalContacts()
+      : await readGitHubJson(CONTEXT_REPO, CONTACTS_FILE, () => null)
+    registry = value
+      ? { ...normalizeContacts(value), singleUser: false }
+      : { ...normalizeContacts(DEFAULT_CONTACTS), singleUser: true }
+    if (value) {
+      console.log(`👥 Loaded ${registry.contacts.length} contacts (${sha ? sha.substring(0, 7) : CONTACTS_SOURCE})`)
+    }
+  } catch (error) {
+    // Keep answering with what we had. With nothing loaded yet we can't tell
+    // who anyone is, so fail now and retry on the next lookup.
+    console.error(`⚠️  Could not load ${CONTACTS_FILE}:`, error.message)
+    if (!registry) {
+      throw new Error(`Contacts unavailable: ${error.message}`)
+    }
+  }
+
+  registryLoadedAt = Date.now()
+  return registry
+}
+
+// Re-read CONTACTS.json on the next lookup
+export function clearContactsCache() {
+  registryLoadedAt = 0
+}
+
+export async function getPrimaryContact() {
+  return (await loadContacts()).primary
+}
+
+export async function getContact(contactId) {
+  const { contacts } = await loadContacts()
+  return contacts.find(contact => contact.id === contactId) || null
+}
+
+// Who sent this? null for unknown senders (except in single-user mode)
+export async function resolveContact(senderId) {
+  const { contacts, primary, singleUser } = await loadContacts()
+  return contacts.find(contact => contact.senders.includes(senderId)) || (singleUser ? primary : null)
+}
+
+// Memory tools also need the contact's own contextRepo, whatever `tools` says
+export function isToolAllowed(contact, toolName) {
+  if (REPO_TOOLS.includes(toolName) && !contact.contextRepo) return false
+  return contact.toolPatterns.some(pattern => pattern.test(toolName))
+}
+
+// Records without a contactId predate the registry and belong to the primary contact
+export function belongsToContact(contact, contactId) {
+  return contactId ? contactId === contact.id : contact.primary
+}
+
+// Per-contact state document name; the primary contact keeps the original one
+export function contactStateName(contact, base) {
+  return contact.primary ? base : `${base}-${contact.id}`
+}
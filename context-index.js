@@ -0,0 +1,196 @@
+/**
+ * Context Index
+ * Splits context files into sections and ranks them against the current
+ * conversation with BM25, entirely in memory. Each request then gets the
+ * pinned sections plus the best-matching ones that fit in the token budget,
+ * instead of every context file.
+ *
+ * Pinning (in CONTEXT_MANIFEST.json):
+ *   - "pinned": true on an entry pins every section of its files
+ *   - "pinnedSections": ["WHO_IS_CALEB.md#Basics"] pins single sections by heading
+ */
+
+import { config } from './config.js'
+
+const CONTEXT_TOKEN_BUDGET = config.contextTokenBudget
+const MAX_SECTION_CHARS = 2000
+
+// BM25 tuning
+const K1 = 1.2
+const B = 0.75
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'has', 'have',
+  'he', 'his', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'not', 'of', 'on', 'or', 'so', 'that',
+  'the', 'their', 'them', 'there', 'they', 'this', 'to', 'was', 'we', 'what', 'when', 'which', 'who',
+  'will', 'with', 'you', 'your'
+])
+
+// context version -> index, one per context repo in use
+const cachedIndexes = new Map()
+const MAX_CACHED_INDEXES = 8
+
+// Rough token estimate - good enough for budgeting
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4)
+}
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+}
+
+// Split one file on markdown headings, then break up oversized sections by paragraph
+function splitSections(file) {
+  const sections = []
+  let heading = file.path
+  let lines = []
+
+  const flush = () => {
+    const body = lines.join('\n').trim()
+    if (body) {
+      let chunk = ''
+      for (const paragraph of body.split(/\n{2,}/)) {
+        if (chunk && chunk.length + paragraph.length > MAX_SECTION_CHARS) {
+          sections.push({ heading, text: chunk })
+          chunk = ''
+        }
+        chunk += (chunk ? '\n\n' : '') + paragraph
+      }
+      sections.push({ heading, text: chunk })
+    }
+    lines = []
+  }
+
+  for (const line of file.content.split('\n')) {
+    const match = line.match(/^#{1,3}\s+(.+)/)
+    if (match) {
+      flush()
+      heading = match[1].trim()
+    }
+    lines.push(line)
+  }
+  flush()
+
+  return sections
+}
+
+/**
+ * Build a BM25 index over the sections of `files` ({ path, content, pinned }).
+ */
+export function buildContextIndex(files, { pinnedSections = [] } = {}) {
+  const pinnedKeys = new Set(pinnedSections)
+  const sections = []
+  const docFrequency = new Map()
+
+  files.forEach((file, fileIndex) => {
+    splitSections(file).forEach((section, position) => {
+      const terms = tokenize(`${section.heading} ${section.text}`)
+      const termFrequency = new Map()
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1)
+      }
+      for (const term of termFrequency.keys()) {
+        docFrequency.set(term, (docFrequency.get(term) || 0) + 1)
+      }
+
+      sections.push({
+        path: file.path,
+        heading: section.heading,
+        text: section.text,
+        fileIndex,
+        position,
+        length: terms.length,
+        termFrequency,
+        pinned: !!file.pinned || pinnedKeys.has(`${file.path}#${section.heading}`)
+      })
+    })
+  })
+
+  const averageLength = sections.reduce((sum, section) => sum + section.length, 0) / (sections.length || 1)
+
+  return { sections, docFrequency, averageLength }
+}
+
+function scoreSection(index, section, queryTerms) {
+  const total = index.sections.length
+  let score = 0
+
+  for (const term of queryTerms) {
+    const frequency = section.termFrequency.get(term)
+    if (!frequency) continue
+
+    const documents = index.docFrequency.get(term)
+    const idf = Math.log(1 + (total - documents + 0.5) / (documents + 0.5))
+    const norm = frequency + K1 * (1 - B + B * section.length / (index.averageLength || 1))
+    score += idf * (frequency * (K1 + 1)) / norm
+  }
+
+  return score
+}
+
+/**
+ * Pinned sections, then the highest-scoring sections for `query`, within
+ * `tokenBudget`. Returned text keeps the original file/section order.
+ */
+export function selectContext(index, query, { tokenBudget = CONTEXT_TOKEN_BUDGET } = {}) {
+  const queryTerms = [...new Set(tokenize(query))]
+  const chosen = []
+  let usedTokens = 0
+
+  const take = section => {
+    chosen.push(section)
+    usedTokens += estimateTokens(section.text)
+  }
+
+  // Pinned sections are always included, even past the budget
+  index.sections.filter(section => section.pinned).forEach(take)
+
+  const ranked = index.sections
+    .filter(section => !section.pinned)
+    .map(section => ({ section, score: scoreSection(index, section, queryTerms) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+
+  for (const { section } of ranked) {
+    const cost = estimateTokens(section.text)
+    if (usedTokens + cost > tokenBudget) continue
+    take(section)
+  }
+
+  chosen.sort((a, b) => a.fileIndex - b.fileIndex || a.position - b.position)
+
+  let text = ''
+  let currentPath = null
+  for (const section of chosen) {
+    if (section.path !== currentPath) {
+      text += `\n\n# ${section.path}\n`
+      currentPath = section.path
+    }
+    text += `\n${section.text}\n`
+  }
+
+  return { text, sections: chosen.length, tokens: usedTokens }
+}
+
+export function clearContextIndexCache() {
+  cachedIndexes.clear()
+}
+
+/**
+ * Index for a loadContext() result, rebuilt only when the context version changes
+ */
+export function getContextIndex(context) {
+  let index = cachedIndexes.get(context.version)
+  if (!index) {
+    index = buildContextIndex(context.files, { pinnedSections: context.pinnedSections })
+    cachedIndexes.set(context.version, index)
+    if (cachedIndexes.size > MAX_CACHED_INDEXES) {
+      cachedIndexes.delete(cachedIndexes.keys().next().value)
+    }
+    console.log(`🔎 Indexed ${index.sections.length} context sections`)
+  }
+  return index
+}
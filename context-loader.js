@@ -0,0 +1,252 @@
+/**
+ * Context Loader
+ * Loads Caleb's context files from the context repo as described by
+ * CONTEXT_MANIFEST.json:
+ *
+ *   {
+ *     "entries": [
+ *       { "path": "WHO_IS_CALEB.md", "priority": 100 },
+ *       { "glob": "CURRENT_CONTEXT_*.md", "priority": 90 },
+ *       { "path": "projects/", "priority": 10 }
+ *     ],
+ *     "pinnedSections": ["WHO_IS_CALEB.md#Basics"]
+ *   }
+ *
+ * Each entry is a file `path`, a directory `path` (trailing slash) or a `glob`
+ * (*, ** and ?). Higher priority loads first; ties keep manifest order.
+ * "pinned": true on an entry (or a "path#Heading" in pinnedSections) keeps
+ * those sections in every prompt - see context-index.js.
+ * Every fetch is a conditional request, so unchanged files cost no rate limit,
+ * and the combined context is only rebuilt when something actually changed.
+ *
+ * Long-term memories (MEMORIES.json) are always loaded too, rendered as one
+ * section per fact so the index can surface the relevant ones.
+ *
+ * Each contact can have their own context repo (see contacts.js); the
+ * manifest, files and memories are all read from that repo.
+ *
+ * Loading never throws. Missing files (404) are just left out; when GitHub
+ * can't be reached or errors, the last context loaded from the repo is used
+ * instead, or - before anything has loaded - whatever could be fetched.
+ */
+
+import { createHash } from 'crypto'
+import { githubGetConditional } from './github.js'
+import { MEMORY_FILE, renderFactsAsMarkdown } from './memory-store.js'
+import { config } from './config.js'
+
+const CONTEXT_REPO = config.contextRepo
+const MANIFEST_FILE = 'CONTEXT_MANIFEST.json'
+
+// Used when the context repo has no manifest yet
+const DEFAULT_MANIFEST = {
+  entries: [
+    { path: 'WHO_IS_CALEB.md', priority: 100 },
+    { glob: 'CURRENT_CONTEXT_*.md', priority: 90 },
+    { path: 'VALUES_AND_PHILOSOPHY.md', priority: 50 },
+    { path: 'PERSONAL_STORIES_AND_EXPERIENCES.md', priority: 50 },
+    { path: 'AINATECH_EXPERIENCE_AND_LEARNING.md', priority: 50 },
+    { path: 'CALEB_TECHNICAL_JOURNEY.md', priority: 50 },
+    { path: 'CALEB_WORKING_STYLE_AND_PREFERENCES.md', priority: 50 }
+  ]
+}
+
+// repo -> last loaded context
+const cachedContexts = new Map()
+
+function contentsUrl(repo, path) {
+  return `https://api.github.com/repos/${repo}/contents/${path}`
+}
+
+export function globToRegExp(glob) {
+  let pattern = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" matches zero or more directories
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*'
+      i += glob[i + 2] === '/' ? 2 : 1
+    } else if (char === '*') {
+      pattern += '[^/]*'
+    } else if (char === '?') {
+      pattern += '[^/]'
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${pattern}$`)
+}
+
+// GET that reports network errors like HTTP errors instead of throwing
+async function fetchContent(url) {
+  try {
+    return await githubGetConditional(url)
+  } catch (error) {
+    return { success: false, status: null, error: error.message }
+  }
+}
+
+// `failed` is set when the manifest couldn't be read (anything but a 404)
+async function loadManifest(repo) {
+  const result = await fetchContent(contentsUrl(repo, MANIFEST_FILE))
+
+  if (!result.success) {
+    if (result.status !== 404) {
+      console.log(`⚠️  Could not load ${MANIFEST_FILE} (${result.error}), using defaults`)
+      return { manifest: DEFAULT_MANIFEST, sha: 'default', failed: true }
+    }
+    return { manifest: DEFAULT_MANIFEST, sha: 'default' }
+  }
+
+  try {
+    const manifest = JSON.parse(Buffer.from(result.data.content, 'base64').toString('utf-8'))
+    if (!Array.isArray(manifest.entries)) {
+      throw new Error('"entries" must be an array')
+    }
+    return { manifest, sha: result.data.sha }
+  } catch (error) {
+    console.log(`⚠️  Invalid ${MANIFEST_FILE} (${error.message}), using defaults`)
+    return { manifest: DEFAULT_MANIFEST, sha: 'default' }
+  }
+}
+
+// Only fetched when the manifest has directory or glob entries. Null when
+// the listing failed.
+async function listRepoFiles(repo) {
+  const result = await fetchContent(
+    `https://api.github.com/repos/${repo}/git/trees/HEAD?recursive=1`
+  )
+  if (!result.success) {
+    console.log(`⚠️  Could not list ${repo} (${result.error}), skipping directory and glob entries`)
+    return null
+  }
+  return result.data.tree.filter(item => item.type === 'blob').map(item => item.path)
+}
+
+// Expand manifest entries into an ordered, de-duplicated list of file paths.
+// `failed` is set when directory and glob entries couldn't be expanded.
+async function resolveEntries(repo, entries) {
+  const needsTree = entries.some(entry => entry.glob || entry.path?.endsWith('/'))
+  const listing = needsTree ? await listRepoFiles(repo) : []
+  const repoFiles = listing || []
+
+  const ranked = entries
+    .map((entry, index) => ({ ...entry, index, priority: entry.priority ?? 0 }))
+    .sort((a, b) => b.priority - a.priority || a.index - b.index)
+
+  const seen = new Set()
+  const files = []
+
+  for (const entry of ranked) {
+    let paths
+    if (entry.glob) {
+      const regex = globToRegExp(entry.glob)
+      paths = repoFiles.filter(path => regex.test(path)).sort()
+    } else if (entry.path?.endsWith('/')) {
+      paths = repoFiles.filter(path => path.startsWith(entry.path)).sort()
+    } else if (entry.path) {
+      paths = [entry.path]
+    } else {
+      console.log(`⚠️  Skipping manifest entry with no path or glob: ${JSON.stringify(entry)}`)
+      continue
+    }
+
+    for (const path of paths) {
+      if (!seen.has(path)) {
+        seen.add(path)
+        files.push({ path, priority: entry.priority, pinned: !!entry.pinned })
+      }
+    }
+  }
+
+  return { files, failed: listing === null }
+}
+
+// MEMORIES.json as a virtual markdown file, null when there are no memories
+// yet, or { failed: true } when it couldn't be read
+async function loadMemories(repo) {
+  const result = await fetchContent(contentsUrl(repo, MEMORY_FILE))
+  if (!result.success) {
+    if (result.status !== 404) {
+      console.log(`⚠️  Could not load ${MEMORY_FILE}: ${result.error}`)
+      return { failed: true }
+    }
+    return null
+  }
+
+  try {
+    const memory = JSON.parse(Buffer.from(result.data.content, 'base64').toString('utf-8'))
+    if (memory.facts.length === 0) return null
+
+    return {
+      path: MEMORY_FILE,
+      priority: -1,
+      pinned: false,
+      sha: result.data.sha,
+      content: renderFactsAsMarkdown(memory.facts)
+    }
+  } catch (error) {
+    console.log(`⚠️  Invalid ${MEMORY_FILE}: ${error.message}`)
+    return null
+  }
+}
+
+// Forget loaded contexts so the next loadContext() rebuilds them
+export function clearContextCache() {
+  cachedContexts.clear()
+}
+
+/**
+ * Load every context file listed in the manifest, plus long-term memories.
+ * Returns { text, files: [{ path, priority, pinned, content }], pinnedSections, version, changed }
+ */
+export async function loadContext(repo = CONTEXT_REPO) {
+  const { manifest, sha: manifestSha, failed: manifestFailed = false } = await loadManifest(repo)
+  const { files: listed, failed: listingFailed } = await resolveEntries(repo, manifest.entries)
+
+  const [memories, ...results] = await Promise.all([loadMemories(repo), ...listed.map(async file => {
+    const result = await fetchContent(contentsUrl(repo, file.path))
+    if (!result.success) {
+      console.log(`⚠️  Could not load ${file.path}: ${result.error}`)
+      return result.status === 404 ? null : { failed: true }
+    }
+    return {
+      ...file,
+      sha: result.data.sha,
+      content: Buffer.from(result.data.content, 'base64').toString('utf-8')
+    }
+  })])
+
+  const loaded = [...results, memories].filter(Boolean)
+  const cached = cachedContexts.get(repo)
+
+  // Something couldn't be fetched - keep the last full context rather than a partial one
+  const partial = manifestFailed || listingFailed || loaded.some(file => file.failed)
+  if (partial && cached) {
+    console.log(`⚠️  Using the last loaded context for ${repo} (${cached.version.substring(0, 7)})`)
+    return { ...cached, changed: false }
+  }
+
+  const files = loaded.filter(file => !file.failed)
+  const version = createHash('sha1')
+    .update([manifestSha, ...files.map(file => `${file.path}@${file.sha}`)].join('\n'))
+    .digest('hex')
+
+  if (cached && cached.version === version) {
+    return { ...cached, changed: false }
+  }
+
+  const context = {
+    text: files.map(file => `\n\n# ${file.path}\n\n${file.content}`).join(''),
+    files,
+    pinnedSections: manifest.pinnedSections || [],
+    version
+  }
+  // A partial context is used this once but not kept, so the next load retries everything
+  if (!partial) {
+    cachedContexts.set(repo, context)
+  }
+  console.log(`🧠 Context ${partial ? 'partly loaded' : 'reloaded'} from ${repo}: ${files.length} files (${version.substring(0, 7)})`)
+
+  return { ...context, changed: true }
+}
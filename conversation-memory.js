@@ -0,0 +1,101 @@
+/**
+ * Rolling Conversation Summary
+ * The prompt carries the last SUMMARY_WINDOW messages verbatim. Anything
+ * older is folded by the model into a running summary that is persisted in
+ * the state store and sent alongside the recent turns.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { config } from './config.js'
+
+const SUMMARY_WINDOW = config.summaryWindow
+const SUMMARY_MAX_CHARS = config.summaryMaxChars
+// Most messages folded in one call - a long backlog (e.g. the first run over
+// a long history) is folded in several calls, oldest first
+const MAX_FOLD_BATCH = 50
+
+const STATE_NAME = 'conversation-summary'
+
+function emptySummary() {
+  return { summary: '', summarizedThroughId: null, summarizedCount: 0, updatedAt: null }
+}
+
+export function getRecentMessages(messages) {
+  return messages.slice(-SUMMARY_WINDOW)
+}
+
+// Messages that have left the window but aren't in the summary yet
+function findUnsummarized(messages, state) {
+  const outOfWindow = messages.slice(0, Math.max(0, messages.length - SUMMARY_WINDOW))
+  const lastIndex = state.summarizedThroughId
+    ? outOfWindow.findIndex(msg => msg.id === state.summarizedThroughId)
+    : -1
+
+  return outOfWindow.slice(lastIndex + 1)
+}
+
+async function foldBatch(state, batch, complete, userName) {
+  let summary = await complete(
+    'You maintain a concise running summary of a text conversation.',
+    buildFoldPrompt(state.summary, batch, userName),
+    Math.ceil(SUMMARY_MAX_CHARS / 3)
+  )
+
+  summary = summary.trim()
+  if (summary.length > SUMMARY_MAX_CHARS) {
+    summary = summary.substring(0, SUMMARY_MAX_CHARS)
+  }
+
+  return {
+    summary,
+    summarizedThroughId: batch[batch.length - 1].id,
+    summarizedCount: state.summarizedCount + batch.length,
+    updatedAt: new Date().toISOString()
+  }
+}
+
+function buildFoldPrompt(previousSummary, messages, userName) {
+  const transcript = messages
+    .map(msg => `${msg.from === 'Claude' ? 'Claude' : userName}: ${msg.content}`)
+    .join('\n\n')
+
+  return `Update the running summary of this text conversation between ${userName} and their assistant Claude.
+
+Current summary:
+${previousSummary || '(none yet)'}
+
+Older messages to fold in:
+${transcript}
+
+Write the updated summary. Keep facts, decisions, open questions, commitments and anything Claude promised to follow up on. Drop small talk. Stay under ${SUMMARY_MAX_CHARS} characters. Reply with the summary only.`
+}
+
+/**
+ * Fold messages that fell out of the window into the running summary and
+ * return the summary text for the prompt. `complete(system, prompt, maxTokens)`
+ * is the model call. Each batch is saved once folded, so a failure keeps
+ * everything folded so far. Each thread passes its own `stateName`.
+ * `readOnly` returns the stored summary without folding - for replays, whose
+ * shortened history doesn't line up with it.
+ */
+export async function getConversationSummary(messages, complete, { stateName = STATE_NAME, userName = config.ownerName.split(' ')[0], readOnly = false } = {}) {
+  let state = await loadState(stateName, emptySummary())
+  const unsummarized = readOnly ? [] : findUnsummarized(messages, state)
+
+  if (unsummarized.length === 0) {
+    return state.summary
+  }
+
+  console.log(`   🧾 Folding ${unsummarized.length} older messages into the conversation summary`)
+  try {
+    for (let start = 0; start < unsummarized.length; start += MAX_FOLD_BATCH) {
+      const folded = await foldBatch(state, unsummarized.slice(start, start + MAX_FOLD_BATCH), complete, userName)
+      await saveState(stateName, folded)
+      state = folded
+    }
+  } catch (error) {
+    console.error('⚠️  Could not update conversation summary:', error.message)
+  }
+
+  return state.summary
+}
@@ -0,0 +1,236 @@
+/**
+ * Conversation Store
+ * Where the text thread lives. Every backend exposes the same interface:
+ *
+ *   load()                        -> { messages, version }
+ *   append(messages)              -> { version, appended }
+ *   markAnswered(message, reply)  -> { version }
+ *
+ * Messages look like { id, from, content, timestamp, replyTo }. `version`
+ * changes whenever the thread changes, so callers can skip unchanged polls.
+ *
+ * Each contact has their own thread, and so their own store instance.
+ *
+ * Backends (CONVERSATION_STORE):
+ * - github: the POKE_MESSAGES.md markdown log in the context repo (default)
+ * - local:  an append-only JSONL file under DATA_DIR, no GitHub needed
+ */
+
+import { readFile, appendFile, mkdir } from 'fs/promises'
+import { join, dirname } from 'path'
+import { readGitHubFile, updateGitHubFile } from './github.js'
+import { config } from './config.js'
+
+const CONVERSATION_STORE = config.conversationStore
+const DATA_DIR = config.dataDir
+
+const GITHUB_REPO = config.contextRepo
+const MESSAGE_FILE = config.messageFile
+
+// ============================================================================
+// GITHUB MARKDOWN BACKEND - POKE_MESSAGES.md
+// ============================================================================
+
+export function parseMessages(content) {
+  const messages = []
+  const blocks = content.split('---\n').filter(b => b.trim() && !b.includes('# Messages from Poke'))
+
+  for (const block of blocks) {
+    const lines = block.trim().split('\n')
+    let from = null
+    let id = null
+    let replyTo = null
+    let timestamp = null
+    let messageContent = ''
+    let foundContent = false
+
+    for (let i = 0; i < lines.length; i++) {
+      if (foundContent) {
+        messageContent += lines[i] + '\n'
+      } else if (lines[i].startsWith('**From:**')) {
+        from = lines[i].replace('**From:**', '').trim()
+      } else if (lines[i].startsWith('**Message ID:**')) {
+        id = lines[i].replace('**Message ID:**', '').trim()
+      } else if (lines[i].startsWith('**Reply To:**')) {
+        replyTo = lines[i].replace('**Reply To:**', '').trim()
+      } else if (lines[i].startsWith('**Timestamp:**')) {
+        timestamp = lines[i].replace('**Timestamp:**', '').trim()
+        foundContent = true
+        i++ // skip empty line
+      }
+    }
+
+    if (from && messageContent.trim()) {
+      messages.push({
+        // Older entries have no id - derive a stable one from sender + time
+        id: id || `${from}@${timestamp}`,
+        from,
+        content: messageContent.trim(),
+        timestamp,
+        replyTo
+      })
+    }
+  }
+
+  return messages
+}
+
+function formatEntry(message, heading, extraFields = '') {
+  const [dateStr, timeWithMs] = message.timestamp.split('T')
+  const timeStr = timeWithMs.split('.')[0]
+
+  return `\n## ${dateStr} ${timeStr} - ${heading}\n\n**From:** ${message.from}\n${extraFields}**Message ID:** ${message.id}\n**Timestamp:** ${message.timestamp}\n\n${message.content}\n\n---\n`
+}
+
+export function createGitHubMarkdownStore({ repo = GITHUB_REPO, path = MESSAGE_FILE } = {}) {
+  // Last known file state - replies are committed on top of what we loaded
+  let current = null
+
+  async function fetchFile() {
+    const file = await readGitHubFile(repo, path, null)
+    if (!file.success) {
+      throw new Error(`GitHub fetch failed: ${file.error}`)
+    }
+    current = { content: file.content, sha: file.sha }
+    return current
+  }
+
+  /**
+   * Append entries to the log. Both the iMessage monitor and this agent write
+   * to the file, so on a sha conflict our entries are re-applied on top of
+   * the latest content - the only edit we ever make is an append, so that is
+   * the three-way merge. `buildEntries(content)` returns the text to append
+   * ('' when everything is already there), and is re-run after each refetch.
+   */
+  async function appendEntries(buildEntries, message, known = null) {
+    try {
+      const result = await updateGitHubFile(repo, path, content => {
+        const entries = buildEntries(content || '')
+        return entries ? (content || '') + entries : null
+      }, message, { known })
+
+      current = { content: result.content, sha: result.sha }
+      return result.sha
+    } catch (error) {
+      current = null // refetch before the next attempt
+      throw new Error(`GitHub commit failed: ${error.message}`)
+    }
+  }
+
+  return {
+    name: 'github',
+    label: `${repo}/${path}`,
+
+    async load() {
+      const { content, sha } = await fetchFile()
+      return { messages: parseMessages(content), version: sha }
+    },
+
+    async append(messages) {
+      let count = 0
+      const version = await appendEntries(content => {
+        // Skip anything already recorded (e.g. redelivered after a restart)
+        const fresh = messages.filter(message => !content.includes(`**Message ID:** ${message.id}\n`))
+        count = fresh.length
+        return fresh.map(message => formatEntry(message, `Message from ${message.from}`)).join('')
+      }, `Add ${messages.length} message(s) via cloud agent`)
+
+      return { version, appended: count }
+    },
+
+    async markAnswered(message, reply) {
+      const version = await appendEntries(content => {
+        // A retried reply may already have been committed
+        if (content.includes(`**Message ID:** ${reply.id}\n`)) return ''
+
+        return formatEntry(
+          reply,
+          'Claude Response',
+          `**In Response To:** ${message.from}\n**Reply To:** ${message.id}\n`
+        )
+      }, 'Add Claude response via cloud agent', current)
+
+      return { version }
+    }
+  }
+}
+
+// ============================================================================
+// LOCAL JSONL BACKEND - append-only file on disk
+// ============================================================================
+
+export function createJsonlStore({ file = join(DATA_DIR, 'conversation.jsonl') } = {}) {
+  async function readRecords() {
+    let raw
+    try {
+      raw = await readFile(file, 'utf-8')
+    } catch (error) {
+      if (error.code === 'ENOENT') return []
+      throw error
+    }
+
+    const records = []
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        records.push(JSON.parse(line))
+      } catch (error) {
+        console.error(`⚠️  Skipping malformed line in ${file}`)
+      }
+    }
+    return records
+  }
+
+  async function writeRecords(records) {
+    await mkdir(dirname(file), { recursive: true })
+    await appendFile(file, records.map(record => JSON.stringify(record) + '\n').join(''))
+  }
+
+  return {
+    name: 'local',
+    label: file,
+
+    async load() {
+      const messages = await readRecords()
+      return { messages, version: `jsonl:${messages.length}` }
+    },
+
+    async append(messages) {
+      const existing = await readRecords()
+      const knownIds = new Set(existing.map(message => message.id))
+      const fresh = messages.filter(message => !knownIds.has(message.id))
+
+      if (fresh.length > 0) {
+        await writeRecords(fresh)
+      }
+
+      return { version: `jsonl:${existing.length + fresh.length}`, appended: fresh.length }
+    },
+
+    async markAnswered(message, reply) {
+      const existing = await readRecords()
+      if (existing.some(record => record.id === reply.id)) {
+        return { version: `jsonl:${existing.length}` }
+      }
+
+      await writeRecords([{ ...reply, replyTo: message.id }])
+      return { version: `jsonl:${existing.length + 1}` }
+    }
+  }
+}
+
+// One store per contact thread (see contacts.js); no contact means the original single thread
+export function createConversationStore(type = CONVERSATION_STORE, contact = null) {
+  switch (type) {
+    case 'github':
+      return contact
+        ? createGitHubMarkdownStore({ repo: contact.threadRepo, path: contact.threadPath })
+        : createGitHubMarkdownStore()
+    case 'local':
+      return contact && !contact.primary
+        ? createJsonlStore({ file: join(DATA_DIR, `conversation-${contact.id}.jsonl`) })
+        : createJsonlStore()
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE "${type}" (expected "github" or "local")`)
+  }
+}
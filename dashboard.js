@@ -0,0 +1,215 @@
+/**
+ * Dashboard
+ * Renders the GET /dashboard page: one server-rendered HTML page (no client
+ * JavaScript) showing a contact's thread, each turn's tool calls, local
+ * tasks, scheduled and proactive messages, and health/usage numbers. The
+ * agent gathers the data; a source that failed to load is passed as
+ * { error } and shown in place of its section.
+ */
+
+import { formatInTimeZone } from './scheduler.js'
+
+const REFRESH_SECONDS = 30
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+const time = value => value ? escapeHtml(formatInTimeZone(value)) : '—'
+const formatCost = cost => `$${(cost || 0).toFixed(3)}`
+const formatRate = rate => rate === null || rate === undefined ? 'n/a' : `${Math.round(rate * 100)}%`
+
+function section(title, body) {
+  return `<section><h2>${escapeHtml(title)}</h2>${body}</section>`
+}
+
+// Sections get either their data or { error }
+function failed(data) {
+  return data?.error ? `<p class="error">Could not load: ${escapeHtml(data.error)}</p>` : null
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) return '<p class="muted">Nothing here yet.</p>'
+  return `<table><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>${rows
+    .map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`)
+    .join('')}</table>`
+}
+
+function pretty(value) {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value)
+    } catch {
+      return escapeHtml(value)
+    }
+  }
+  return escapeHtml(JSON.stringify(value, null, 2))
+}
+
+// ============================================================================
+// SECTIONS
+// ============================================================================
+
+function renderHealth(status) {
+  const usage = status.usage || {}
+  const today = usage.today || {}
+  const budget = usage.budget || {}
+  const outbox = status.outbox || {}
+
+  const stats = [
+    ['Status', status.status],
+    ['Uptime', `${Math.floor(status.uptime / 3600)}h ${Math.floor(status.uptime % 3600 / 60)}m`],
+    ['Inbound', `${status.inboundMode} (${status.inboundQueueLength} queued)`],
+    ['Last run', time(status.lastProcessTime)],
+    ['Outbox', `${outbox.pending?.length ?? '?'} pending, ${outbox.deadLetters?.length ?? '?'} dead`],
+    ['GitHub auth', status.githubAuth?.mode],
+    ['Spend today', `${formatCost(today.cost)} over ${today.calls || 0} calls`],
+    ['Budget', [budget.softBudget && `soft ${formatCost(budget.softBudget)}`, budget.hardBudget && `hard ${formatCost(budget.hardBudget)}`].filter(Boolean).join(', ') || 'none'],
+    ['Prompt cache hits', formatRate(usage.promptCache?.hitRate)]
+  ]
+
+  const paused = status.paused
+    ? `<p class="error">Paused since ${time(status.paused.since)}${status.paused.reason ? ` - ${escapeHtml(status.paused.reason)}` : ''}</p>`
+    : ''
+  const lastError = status.lastError
+    ? `<p class="error">Last error (${time(status.lastError.time)}): ${escapeHtml(status.lastError.message)}</p>`
+    : ''
+
+  return section('Health & usage', `${paused}<dl>${stats
+    .map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd></div>`)
+    .join('')}</dl>${lastError}`)
+}
+
+function renderThread(messages) {
+  const body = failed(messages) || (messages.length === 0
+    ? '<p class="muted">No messages yet.</p>'
+    : `<ol class="thread">${messages.map(msg => `<li class="${msg.from === 'Claude' ? 'out' : 'in'}">
+        <div class="meta">${escapeHtml(msg.from)} · ${time(msg.timestamp)} · <code>${escapeHtml(msg.id)}</code></div>
+        <div class="text">${escapeHtml(msg.content)}</div>
+      </li>`).join('')}</ol>`)
+
+  return section('Conversation', body)
+}
+
+function renderTurns(turns) {
+  const body = turns.length === 0
+    ? '<p class="muted">No turns since the last restart.</p>'
+    : turns.map(turn => `<article class="turn">
+        <div class="meta">${time(turn.startedAt)} · ${escapeHtml(turn.kind)}${turn.models.length ? ` · ${escapeHtml(turn.models.join(' → '))}` : ''} · <code>${escapeHtml(turn.messageId)}</code></div>
+        <div class="text">“${escapeHtml(turn.message)}”</div>
+        ${turn.toolCalls.map(call => `<details class="${call.isError ? 'tool error' : 'tool'}">
+          <summary>${escapeHtml(call.name)}${call.durationMs !== null ? ` <span class="muted">${call.durationMs} ms</span>` : ''}${call.isError ? ' ✗' : ''}</summary>
+          <h3>Input</h3><pre>${pretty(call.input)}</pre>
+          <h3>Result</h3><pre>${pretty(call.result)}</pre>
+        </details>`).join('')}
+        ${turn.reply ? `<div class="reply">→ ${escapeHtml(turn.reply)}</div>` : ''}
+        ${turn.error ? `<p class="error">${escapeHtml(turn.error)}</p>` : ''}
+        ${!turn.finishedAt ? '<p class="muted">In progress…</p>' : ''}
+      </article>`).join('')
+
+  return section('Turns & tool calls', body)
+}
+
+function renderTasks(tasks) {
+  return section('Local tasks', failed(tasks) || table(
+    ['Task', 'State', 'Description', 'Created', 'Finished', 'Output'],
+    tasks.map(task => [
+      `<code>${escapeHtml(task.id)}</code>`,
+      `<span class="state ${escapeHtml(task.state)}">${escapeHtml(task.state)}</span>${task.exitCode !== null ? ` (exit ${escapeHtml(task.exitCode)})` : ''}`,
+      escapeHtml(task.description) + (task.command ? `<br><code>${escapeHtml(task.command)}</code>` : ''),
+      time(task.createdAt),
+      time(task.finishedAt),
+      escapeHtml(task.error || task.outputPreview || '')
+    ])
+  ))
+}
+
+function renderScheduled(jobs) {
+  return section('Scheduled messages', failed(jobs) || table(
+    ['Job', 'To', 'Message', 'When', 'Next run', 'Runs', 'Status'],
+    jobs.map(job => [
+      `<code>${escapeHtml(job.id)}</code>`,
+      escapeHtml(job.contactId || 'primary'),
+      escapeHtml(job.message),
+      escapeHtml(job.cron ? `cron ${job.cron}` : 'once'),
+      job.active ? time(job.nextRunAt) : '—',
+      escapeHtml(job.runCount),
+      escapeHtml(job.active ? (job.lastError ? `retrying: ${job.lastError}` : 'active') : job.cancelledAt ? 'cancelled' : 'done')
+    ])
+  ))
+}
+
+function renderProactive(proactive) {
+  if (!proactive || proactive.error) {
+    return section('Proactive messages', failed(proactive) || '')
+  }
+
+  const lastRun = proactive.lastRun
+    ? `Last check ${time(proactive.lastRun.time)}: ${proactive.lastRun.candidates} candidates, ${proactive.lastRun.sent} sent${proactive.lastRun.skipped ? ` (skipped: ${escapeHtml(proactive.lastRun.skipped)})` : ''}`
+    : 'No check since the last restart'
+
+  return section('Proactive messages', `<p class="muted">${lastRun} · ${proactive.sentToday}/${proactive.dailyLimit} today · quiet ${escapeHtml(proactive.quietHours)}</p>${table(
+    ['Sent', 'Sources', 'Message'],
+    [...proactive.recentMessages].reverse().map(msg => [time(msg.sentAt), escapeHtml(msg.sources.join(', ')), escapeHtml(msg.text)])
+  )}`)
+}
+
+// ============================================================================
+// PAGE
+// ============================================================================
+
+const STYLE = `
+  body { font: 14px/1.45 -apple-system, system-ui, sans-serif; margin: 0 auto; max-width: 1100px; padding: 16px; color: #222; background: #fafafa; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 0; } h3 { font-size: 12px; margin: 8px 0 2px; color: #666; }
+  section { background: #fff; border: 1px solid #e3e3e3; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; }
+  nav a { margin-right: 12px; } nav a.current { font-weight: bold; }
+  dl { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 8px; margin: 0; }
+  dt { color: #666; font-size: 12px; } dd { margin: 0; }
+  table { border-collapse: collapse; width: 100%; } th, td { text-align: left; vertical-align: top; padding: 4px 8px; border-bottom: 1px solid #eee; }
+  .thread { list-style: none; padding: 0; max-height: 520px; overflow-y: auto; }
+  .thread li { margin: 6px 0; padding: 6px 10px; border-radius: 8px; max-width: 80%; white-space: pre-wrap; }
+  .thread .in { background: #eef; } .thread .out { background: #efe; margin-left: auto; }
+  .meta, .muted { color: #888; font-size: 12px; }
+  .turn { border-top: 1px solid #eee; padding: 8px 0; } .reply { margin-top: 4px; white-space: pre-wrap; }
+  details.tool { margin: 4px 0 4px 12px; } details.tool.error summary { color: #b00; }
+  pre { background: #f4f4f4; padding: 8px; overflow-x: auto; max-height: 300px; margin: 0; }
+  .error { color: #b00; }
+  .state.failed, .state.cancelled { color: #b00; } .state.completed { color: #070; } .state.running, .state.claimed { color: #a60; }
+`
+
+/**
+ * Full page. `data` is { contacts, contactId, status, messages, turns, tasks,
+ * scheduled }; status.proactive supplies the proactive section.
+ */
+export function renderDashboard({ contacts, contactId, status, messages, turns, tasks, scheduled }) {
+  const nav = contacts.length > 1
+    ? `<nav>${contacts.map(contact => `<a href="?contact=${encodeURIComponent(contact.id)}"${contact.id === contactId ? ' class="current"' : ''}>${escapeHtml(contact.name)}</a>`).join('')}</nav>`
+    : ''
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="refresh" content="${REFRESH_SECONDS}">
+<title>Poke Agent</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>Poke Agent</h1>
+${nav}
+${renderHealth(status)}
+${renderThread(messages)}
+${renderTurns(turns)}
+${renderTasks(tasks)}
+${renderScheduled(scheduled)}
+${renderProactive(status.proactive)}
+<p class="muted">Updated ${time(new Date())} · refreshes every ${REFRESH_SECONDS}s</p>
+</body>
+</html>
+`
+}
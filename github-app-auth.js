@@ -2,19 +2,34 @@
  * GitHub App Authentication Helper
  * Generates installation access tokens for the GitHub App
  * Rate limit: 15,000 requests/hour (3x more than personal tokens)
+ *
+ * Also the single auth provider for every GitHub call: prefers the GitHub App
+ * when its private key is available, falls back to the GITHUB_TOKEN PAT.
  */
 
 import { createAppAuth } from '@octokit/auth-app'
-import { readFileSync } from 'fs'
+import { readFileSync, existsSync } from 'fs'
+import { config } from './config.js'
+import { fetchWithMetrics } from './metrics.js'
 
-const APP_ID = process.env.GITHUB_APP_ID || '2752810'
-const INSTALLATION_ID = process.env.GITHUB_APP_INSTALLATION_ID || '106770428'
-const PRIVATE_KEY_PATH = process.env.GITHUB_APP_PRIVATE_KEY_PATH || './claude-agent-app.pem'
-const PRIVATE_KEY_ENV = process.env.GITHUB_APP_PRIVATE_KEY
+const APP_ID = config.githubAppId
+const INSTALLATION_ID = config.githubAppInstallationId
+const PRIVATE_KEY_PATH = config.githubAppPrivateKeyPath
+const PRIVATE_KEY_ENV = config.githubAppPrivateKey
+const GITHUB_TOKEN = config.githubToken
 
 let cachedToken = null
 let tokenExpiry = null
 
+// Which credential the last request used: 'github-app', 'pat' or 'none'.
+// Only set once a credential has resolved, so concurrent refreshes can't
+// leave it pointing at one they didn't use.
+let authMode = null
+let lastAuthError = null
+// After the App fails to mint a token, use the PAT for a while before trying again
+let appRetryAfter = 0
+const APP_RETRY_DELAY = 5 * 60 * 1000
+
 /**
  * Get a valid GitHub App installation access token
  * Tokens are cached and automatically refreshed when they expire
@@ -65,13 +80,102 @@ export async function getGitHubToken() {
   }
 }
 
+/**
+ * Drop the cached installation token so the next call mints a fresh one
+ */
+export function invalidateGitHubToken() {
+  cachedToken = null
+  tokenExpiry = null
+}
+
+/**
+ * The GitHub App is used whenever a private key is available
+ */
+export function isGitHubAppConfigured() {
+  return !!PRIVATE_KEY_ENV || existsSync(PRIVATE_KEY_PATH)
+}
+
+/**
+ * Pick the best available credential: GitHub App token, then the PAT.
+ * Returns { token, mode }; token is null when there's no credential at all.
+ */
+async function resolveCredential() {
+  if (isGitHubAppConfigured() && (Date.now() >= appRetryAfter || !GITHUB_TOKEN)) {
+    try {
+      const token = await getGitHubToken()
+      lastAuthError = null
+      return { token, mode: 'github-app' }
+    } catch (error) {
+      lastAuthError = { message: error.message, time: new Date().toISOString() }
+      appRetryAfter = Date.now() + APP_RETRY_DELAY
+      if (!GITHUB_TOKEN) {
+        authMode = 'none'
+        throw error
+      }
+      console.log('⚠️  Falling back to GITHUB_TOKEN')
+    }
+  }
+
+  return GITHUB_TOKEN ? { token: GITHUB_TOKEN, mode: 'pat' } : { token: null, mode: 'none' }
+}
+
+function buildHeaders(token) {
+  return {
+    // Without a credential, requests go out anonymously
+    ...(token && { 'Authorization': `Bearer ${token}` }),
+    'Accept': 'application/vnd.github.v3+json'
+  }
+}
+
 /**
  * Get GitHub API headers with authentication
  */
 export async function getGitHubHeaders() {
-  const token = await getGitHubToken()
+  const { token, mode } = await resolveCredential()
+  authMode = mode
+  return buildHeaders(token)
+}
+
+/**
+ * fetch() for the GitHub API with auth headers applied. If an installation
+ * token is rejected mid-request (expired or revoked), mint a new one and
+ * retry once. Errors and rate-limit headroom are recorded for /metrics.
+ */
+export async function githubFetch(url, options = {}) {
+  let mode = null
+  const send = async () => {
+    const credential = await resolveCredential()
+    mode = authMode = credential.mode
+    return fetchWithMetrics('github', url, {
+      ...options,
+      headers: {
+        ...buildHeaders(credential.token),
+        ...options.headers
+      }
+    })
+  }
+
+  const response = await send()
+
+  // Only retry if this request used the App token
+  if (response.status === 401 && mode === 'github-app') {
+    console.log('↻ GitHub App token rejected, refreshing and retrying')
+    invalidateGitHubToken()
+    return send()
+  }
+
+  return response
+}
+
+/**
+ * Auth details for /status (never includes the token itself)
+ */
+export function getGitHubAuthStatus() {
   return {
-    'Authorization': `Bearer ${token}`,
-    'Accept': 'application/vnd.github.v3+json'
+    mode: authMode || (isGitHubAppConfigured() ? 'github-app' : GITHUB_TOKEN ? 'pat' : 'none'),
+    appConfigured: isGitHubAppConfigured(),
+    patConfigured: !!GITHUB_TOKEN,
+    tokenExpiresAt: authMode === 'github-app' && tokenExpiry ? new Date(tokenExpiry).toISOString() : null,
+    lastError: lastAuthError
   }
 }
@@ -0,0 +1,284 @@
+/**
+ * GitHub Contents API Helpers
+ * Read/write ANY of Caleb's repos - shared by the agent and the conversation store
+ * Auth (GitHub App or PAT) is handled by githubFetch in github-app-auth.js
+ * Helpers take an optional AbortSignal (`{ signal }`) so a timed-out tool call
+ * stops its requests.
+ */
+
+import { githubFetch } from './github-app-auth.js'
+import { config } from './config.js'
+
+export { githubFetch }
+
+export async function readGitHubFile(repo, filePath, ref = 'main', { signal } = {}) {
+  try {
+    const response = await githubFetch(
+      `https://api.github.com/repos/${repo}/contents/${filePath}${ref ? `?ref=${ref}` : ''}`,
+      { signal }
+    )
+
+    if (!response.ok) {
+      return { success: false, status: response.status, error: `HTTP ${response.status}` }
+    }
+
+    const data = await response.json()
+    const content = Buffer.from(data.content, 'base64').toString('utf-8')
+
+    return {
+      success: true,
+      content,
+      sha: data.sha,
+      path: data.path,
+      size: data.size
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export async function writeGitHubFile(repo, filePath, content, message, sha = null, { signal } = {}) {
+  try {
+    const body = {
+      message,
+      content: Buffer.from(content).toString('base64')
+    }
+
+    if (sha) {
+      body.sha = sha
+    }
+
+    const response = await githubFetch(
+      `https://api.github.com/repos/${repo}/contents/${filePath}`,
+      {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+        signal
+      }
+    )
+
+    if (!response.ok) {
+      const error = await response.text()
+      return { success: false, status: response.status, error: `HTTP ${response.status}: ${error}` }
+    }
+
+    const data = await response.json()
+    return {
+      success: true,
+      sha: data.content.sha,
+      url: data.content.html_url
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export async function listGitHubRepos({ signal } = {}) {
+  try {
+    const response = await githubFetch('https://api.github.com/user/repos?per_page=100&sort=updated', { signal })
+
+    if (!response.ok) {
+      return { success: false, error: `HTTP ${response.status}` }
+    }
+
+    const repos = await response.json()
+    return {
+      success: true,
+      repos: repos.map(r => ({
+        name: r.full_name,
+        description: r.description,
+        private: r.private,
+        updated: r.updated_at,
+        language: r.language,
+        url: r.html_url
+      }))
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+export async function listGitHubDirectory(repo, dirPath = '', ref = null, { signal } = {}) {
+  try {
+    const response = await githubFetch(
+      `https://api.github.com/repos/${repo}/contents/${dirPath}${ref ? `?ref=${ref}` : ''}`,
+      { signal }
+    )
+
+    if (!response.ok) {
+      return { success: false, status: response.status, error: `HTTP ${response.status}` }
+    }
+
+    const data = await response.json()
+    if (!Array.isArray(data)) {
+      return { success: false, error: `${dirPath} is a file, not a directory` }
+    }
+
+    return {
+      success: true,
+      entries: data.map(entry => ({
+        name: entry.name,
+        path: entry.path,
+        type: entry.type,
+        size: entry.size
+      }))
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+// Code search across a single repo, or every repo owned by `owner`
+export async function searchGitHubCode(query, { repo = null, owner = config.githubOwner, signal } = {}) {
+  try {
+    const scope = repo ? `repo:${repo}` : `user:${owner}`
+    const response = await githubFetch(
+      `https://api.github.com/search/code?q=${encodeURIComponent(`${query} ${scope}`)}&per_page=20`,
+      {
+        headers: {
+          // Ask for matching fragments so results are useful without extra reads
+          'Accept': 'application/vnd.github.text-match+json'
+        },
+        signal
+      }
+    )
+
+    if (!response.ok) {
+      return { success: false, status: response.status, error: `HTTP ${response.status}` }
+    }
+
+    const data = await response.json()
+    return {
+      success: true,
+      totalCount: data.total_count,
+      results: data.items.map(item => ({
+        repo: item.repository.full_name,
+        path: item.path,
+        url: item.html_url,
+        fragments: (item.text_matches || []).map(match => match.fragment)
+      }))
+    }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+}
+
+const MAX_WRITE_ATTEMPTS = 3
+
+/**
+ * Read a JSON file, or `fallback()` when it doesn't exist yet.
+ * Returns { value, sha }.
+ */
+export async function readGitHubJson(repo, filePath, fallback, { signal } = {}) {
+  const file = await readGitHubFile(repo, filePath, null, { signal })
+
+  if (!file.success) {
+    if (file.status === 404) {
+      return { value: fallback(), sha: null }
+    }
+    throw new Error(`Failed to fetch ${filePath}: ${file.error}`)
+  }
+
+  try {
+    return { value: JSON.parse(file.content), sha: file.sha }
+  } catch (error) {
+    throw new Error(`${filePath} is not valid JSON: ${error.message}`)
+  }
+}
+
+/**
+ * Conflict-safe write. `transform(content, sha)` gets the current file (null
+ * when it doesn't exist) and returns the new content, or null for no change.
+ * Our edit is re-applied to a fresh read whenever the sha went stale
+ * (409/422), so concurrent writers are merged instead of overwritten.
+ * `known` ({ content, sha }) skips the first read when the caller has it.
+ * Returns { sha, content, changed }.
+ */
+export async function updateGitHubFile(repo, filePath, transform, commitMessage, { known = null, signal } = {}) {
+  for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+    let current = attempt === 1 ? known : null
+
+    if (!current) {
+      const file = await readGitHubFile(repo, filePath, null, { signal })
+      if (!file.success && file.status !== 404) {
+        throw new Error(`Failed to fetch ${filePath}: ${file.error}`)
+      }
+      current = file.success ? { content: file.content, sha: file.sha } : { content: null, sha: null }
+    }
+
+    const updated = transform(current.content, current.sha)
+    if (updated === null) {
+      return { sha: current.sha, content: current.content, changed: false }
+    }
+
+    const write = await writeGitHubFile(repo, filePath, updated, commitMessage, current.sha, { signal })
+    if (write.success) {
+      return { sha: write.sha, content: updated, changed: true }
+    }
+    if (write.status !== 409 && write.status !== 422) {
+      throw new Error(`Failed to update ${filePath}: ${write.error}`)
+    }
+    console.log(`   ↻ ${filePath} changed underneath us, merging and retrying (${attempt}/${MAX_WRITE_ATTEMPTS})`)
+  }
+
+  throw new Error(`Failed to update ${filePath}: too many concurrent writes`)
+}
+
+/**
+ * Read-modify-write a JSON file. `mutate(value)` edits the parsed document in
+ * place and its return value is passed back. Conflicts are retried by
+ * updateGitHubFile, re-running `mutate` on the latest document.
+ */
+export async function updateGitHubJson(repo, filePath, mutate, commitMessage, fallback, { signal } = {}) {
+  let result
+
+  await updateGitHubFile(repo, filePath, content => {
+    let value
+    try {
+      value = content === null ? fallback() : JSON.parse(content)
+    } catch (error) {
+      throw new Error(`${filePath} is not valid JSON: ${error.message}`)
+    }
+
+    result = mutate(value)
+    return JSON.stringify(value, null, 2) + '\n'
+  }, commitMessage, { signal })
+
+  return result
+}
+
+// ETag cache for conditional GETs - 304 responses don't count against the rate limit
+const conditionalCache = new Map()
+
+// Next conditional GETs fetch full bodies again
+export function clearConditionalCache() {
+  conditionalCache.clear()
+}
+
+/**
+ * GET a GitHub API URL with If-None-Match. `changed` is false when GitHub
+ * answered 304 and the cached body was reused.
+ */
+export async function githubGetConditional(url) {
+  const cached = conditionalCache.get(url)
+  const response = await githubFetch(url, cached ? { headers: { 'If-None-Match': cached.etag } } : {})
+
+  if (response.status === 304 && cached) {
+    return { success: true, changed: false, data: cached.data }
+  }
+
+  if (!response.ok) {
+    return { success: false, status: response.status, error: `HTTP ${response.status}` }
+  }
+
+  const data = await response.json()
+  const etag = response.headers.get('etag')
+  if (etag) {
+    conditionalCache.set(url, { etag, data })
+  }
+
+  return { success: true, changed: true, data }
+}
@@ -0,0 +1,92 @@
+/**
+ * Logging
+ * LOG_FORMAT=text (the default) leaves console output as it is.
+ * LOG_FORMAT=json turns every console.log/info/warn/error line into one JSON
+ * object per line for log aggregators:
+ *
+ *   {"time":"...","level":"info","msg":"📨 Webhook message m_123 from caleb_newton","correlationId":"m_123","contactId":"caleb"}
+ *
+ * Correlation ids follow one inbound message through its whole pipeline -
+ * webhook, thread update, Claude and tool calls, and outbox delivery (outbox
+ * actions remember the id they were queued under). The id is the inbound
+ * message id; scheduled and proactive sends use their outbox key.
+ * Context is carried with AsyncLocalStorage, so nothing needs threading
+ * through function arguments.
+ *
+ * The last few errors passed to recordError() are kept for the admin API.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks'
+import { format } from 'util'
+import { config } from './config.js'
+
+const LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error', debug: 'debug' }
+const MAX_RECENT_ERRORS = 50
+
+const storage = new AsyncLocalStorage()
+const recentErrors = []
+let installed = false
+
+/**
+ * Run `fn` in a fresh log context: `fields` (correlationId, contactId...) are
+ * attached to every line it logs, including from async work it starts.
+ */
+export function runWithLogContext(fields, fn) {
+  return storage.run({ ...fields }, fn)
+}
+
+// Add fields to the current context once they're known (e.g. which message a run answers)
+export function addLogContext(fields) {
+  const store = storage.getStore()
+  if (store) Object.assign(store, fields)
+}
+
+export function getLogContext() {
+  return storage.getStore() || {}
+}
+
+/**
+ * Switch console output to JSON lines when LOG_FORMAT=json. Call once,
+ * before anything else logs.
+ */
+export function installLogger() {
+  if (installed || config.logFormat !== 'json') return
+  installed = true
+
+  for (const [method, level] of Object.entries(LEVELS)) {
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout
+
+    console[method] = (...args) => {
+      const msg = format(...args).trim()
+      if (!msg) return
+      const fields = Object.entries(storage.getStore() || {}).filter(([, value]) => value !== null && value !== undefined)
+      stream.write(JSON.stringify({ time: new Date().toISOString(), level, msg, ...Object.fromEntries(fields) }) + '\n')
+    }
+  }
+}
+
+// ============================================================================
+// RECENT ERRORS - kept in memory for the admin API
+// ============================================================================
+
+/**
+ * Remember a failure (with the current correlation id) for GET /admin/errors.
+ * `source` says which loop or handler it came from.
+ */
+export function recordError(source, error) {
+  recentErrors.push({
+    time: new Date().toISOString(),
+    source,
+    message: error.message,
+    stack: error.stack,
+    ...storage.getStore()
+  })
+  if (recentErrors.length > MAX_RECENT_ERRORS) {
+    recentErrors.shift()
+  }
+}
+
+// Newest first
+export function getRecentErrors() {
+  return [...recentErrors].reverse()
+}
@@ -0,0 +1,172 @@
+/**
+ * Long-Term Memory
+ * Facts Claude has been asked to remember, kept in MEMORIES.json in the
+ * context repo:
+ *
+ *   { "version": 1, "facts": [{ id, category, fact, createdAt, sourceMessageId, sourceMessage }] }
+ *
+ * Exposed to the model as remember_fact / recall_facts / forget_fact, and
+ * rendered into the context loader so relevant facts reach every prompt.
+ * Every function takes the context repo to use, so each contact keeps their
+ * own memories.
+ */
+
+import { readGitHubJson, updateGitHubJson } from './github.js'
+import { tokenize } from './context-index.js'
+import { config } from './config.js'
+
+const CONTEXT_REPO = config.contextRepo
+export const MEMORY_FILE = 'MEMORIES.json'
+
+export const MEMORY_CATEGORIES = ['preference', 'person', 'project', 'goal', 'schedule', 'fact']
+
+function emptyMemory() {
+  return { version: 1, facts: [] }
+}
+
+export async function listFacts(repo = CONTEXT_REPO) {
+  const { value } = await readGitHubJson(repo, MEMORY_FILE, emptyMemory)
+  return value.facts
+}
+
+export async function rememberFact({ fact, category = 'fact' }, sourceMessage = null, repo = CONTEXT_REPO, { signal } = {}) {
+  const entry = {
+    id: `mem_${Date.now()}`,
+    category,
+    fact,
+    createdAt: new Date().toISOString(),
+    sourceMessageId: sourceMessage?.id || null,
+    sourceMessage: sourceMessage ? sourceMessage.content.substring(0, 280) : null
+  }
+
+  await updateGitHubJson(repo, MEMORY_FILE, memory => {
+    memory.facts.push(entry)
+  }, `Remember: ${fact.substring(0, 50)}`, emptyMemory, { signal })
+
+  console.log(`🧠 Remembered ${entry.id} (${category})`)
+  return entry
+}
+
+export async function forgetFact(factId, repo = CONTEXT_REPO, { signal } = {}) {
+  return updateGitHubJson(repo, MEMORY_FILE, memory => {
+    const index = memory.facts.findIndex(entry => entry.id === factId)
+    if (index === -1) {
+      throw new Error(`No memory with id ${factId}`)
+    }
+    return memory.facts.splice(index, 1)[0]
+  }, `Forget ${factId}`, emptyMemory, { signal })
+}
+
+// Term-overlap ranking - good enough for a few hundred short facts
+export async function recallFacts({ query = '', category = null, limit = 10 } = {}, repo = CONTEXT_REPO) {
+  const facts = (await listFacts(repo)).filter(entry => !category || entry.category === category)
+
+  if (!query.trim()) {
+    return facts.slice(-limit).reverse()
+  }
+
+  const queryTerms = new Set(tokenize(query))
+  return facts
+    .map(entry => ({
+      entry,
+      score: tokenize(`${entry.category} ${entry.fact}`).filter(term => queryTerms.has(term)).length
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry }) => entry)
+}
+
+/**
+ * Markdown with one heading per fact, so the context index treats each fact
+ * as its own section and only surfaces the relevant ones.
+ */
+export function renderFactsAsMarkdown(facts) {
+  return facts
+    .map(entry => `## Memory ${entry.id} (${entry.category}, ${entry.createdAt.split('T')[0]})\n\n${entry.fact}`)
+    .join('\n\n')
+}
+
+// ============================================================================
+// MEMORY TOOLS - remember_fact / recall_facts / forget_fact for the tool loop
+// ============================================================================
+
+export function getMemoryTools() {
+  return [
+    {
+      name: 'remember_fact',
+      description: 'Save a fact about the person you\'re texting to long-term memory (preferences, people, plans, decisions). Use this whenever they tell you something worth remembering.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          fact: {
+            type: 'string',
+            description: 'The fact, written as a standalone sentence, e.g. "Caleb\'s sister Maya starts at UCLA in September"'
+          },
+          category: {
+            type: 'string',
+            enum: MEMORY_CATEGORIES,
+            description: 'What kind of fact this is (default fact)'
+          }
+        },
+        required: ['fact']
+      }
+    },
+    {
+      name: 'recall_facts',
+      description: 'Search long-term memory. Returns matching facts with their ids.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            description: 'Words to search for (omit to list the most recent facts)'
+          },
+          category: {
+            type: 'string',
+            enum: MEMORY_CATEGORIES,
+            description: 'Only return facts in this category'
+          },
+          limit: {
+            type: 'integer',
+            description: 'Maximum number of facts to return (default 10)'
+          }
+        }
+      }
+    },
+    {
+      name: 'forget_fact',
+      description: 'Delete a fact from long-term memory by id (find the id with recall_facts first).',
+      input_schema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'The memory id, e.g. "mem_1737400000000"'
+          }
+        },
+        required: ['id']
+      }
+    }
+  ]
+}
+
+// `message` is the inbound text being answered, recorded as the fact's source.
+// `repo` is the sender's context repo; `signal` aborts a timed-out call.
+export async function executeMemoryAction(toolName, toolInput, { message = null, repo = CONTEXT_REPO, signal } = {}) {
+  console.log(`   🔧 Executing ${toolName}...`)
+
+  switch (toolName) {
+    case 'remember_fact':
+      return rememberFact(toolInput, message, repo, { signal })
+
+    case 'recall_facts':
+      return { facts: await recallFacts(toolInput, repo) }
+
+    case 'forget_fact':
+      return { forgotten: await forgetFact(toolInput.id, repo, { signal }) }
+
+    default:
+      throw new Error(`Unknown tool: ${toolName}`)
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms kept in memory and rendered in the
+ * Prometheus text format for GET /metrics. Everything the agent measures is
+ * defined at the bottom of this file so the full list lives in one place.
+ *
+ * fetchWithMetrics() wraps fetch() for the external APIs: it counts failed
+ * requests per service and status, and records rate-limit headroom from the
+ * response headers (GitHub's x-ratelimit-*, Anthropic's anthropic-ratelimit-*).
+ */
+
+const PREFIX = 'poke_agent_'
+
+const registry = []
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')))
+}
+
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`)
+  if (extra) pairs.push(extra)
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : ''
+}
+
+function register(type, name, help, labelNames, render) {
+  registry.push({ type, name: PREFIX + name, help, labelNames, render })
+}
+
+// ============================================================================
+// METRIC TYPES
+// ============================================================================
+
+export function createCounter(name, help, labelNames = []) {
+  const series = new Map()
+
+  register('counter', name, help, labelNames, fullName => [...series].map(([key, value]) =>
+    `${fullName}${formatLabels(labelNames, JSON.parse(key))} ${value}`
+  ))
+
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels)
+      series.set(key, (series.get(key) || 0) + amount)
+    }
+  }
+}
+
+export function createGauge(name, help, labelNames = []) {
+  const series = new Map()
+
+  register('gauge', name, help, labelNames, fullName => [...series].map(([key, value]) =>
+    `${fullName}${formatLabels(labelNames, JSON.parse(key))} ${value}`
+  ))
+
+  return {
+    set(labels, value) {
+      series.set(labelKey(labelNames, labels), value)
+    }
+  }
+}
+
+// `buckets` are upper bounds in seconds
+export function createHistogram(name, help, buckets, labelNames = []) {
+  const series = new Map()
+
+  register('histogram', name, help, labelNames, fullName => [...series].flatMap(([key, { counts, sum, count }]) => {
+    const values = JSON.parse(key)
+    return [
+      ...buckets.map((bound, i) => `${fullName}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`),
+      `${fullName}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`,
+      `${fullName}_sum${formatLabels(labelNames, values)} ${sum}`,
+      `${fullName}_count${formatLabels(labelNames, values)} ${count}`
+    ]
+  }))
+
+  const observe = (labels, seconds) => {
+    const key = labelKey(labelNames, labels)
+    const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 }
+    buckets.forEach((bound, i) => {
+      if (seconds <= bound) entry.counts[i]++
+    })
+    entry.sum += seconds
+    entry.count++
+    series.set(key, entry)
+  }
+
+  return {
+    observe,
+    // Returns end(extraLabels) which records the elapsed time
+    startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint()
+      return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - startedAt) / 1e9)
+    }
+  }
+}
+
+// Prometheus text exposition format (version 0.0.4)
+export function renderMetrics() {
+  const lines = []
+  for (const { type, name, help, render } of registry) {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...render(name))
+  }
+  return lines.join('\n') + '\n'
+}
+
+// ============================================================================
+// AGENT METRICS
+// ============================================================================
+
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 40, 60, 120]
+const END_TO_END_BUCKETS = [1, 2, 5, 10, 20, 30, 60, 120, 300, 600]
+
+export const metrics = {
+  pollCycles: createCounter('poll_cycles_total', 'Polling passes over every contact thread'),
+  inboundMessages: createCounter('inbound_messages_total', 'Inbound messages accepted from the webhook'),
+  pipelineRuns: createCounter('pipeline_runs_total', 'Response pipeline runs by outcome', ['outcome']),
+  replies: createCounter('replies_total', 'Replies queued for delivery, by kind (claude or command)', ['kind']),
+  replyLatency: createHistogram('reply_latency_seconds', 'Time from an inbound message to its reply being delivered', END_TO_END_BUCKETS, ['kind']),
+  claudeLatency: createHistogram('claude_request_duration_seconds', 'Claude API request duration', LATENCY_BUCKETS, ['model', 'outcome']),
+  toolCalls: createCounter('tool_calls_total', 'Tool calls by tool name and outcome (ok, error, denied)', ['tool', 'outcome']),
+  toolLatency: createHistogram('tool_call_duration_seconds', 'Tool call duration', LATENCY_BUCKETS, ['tool']),
+  turnsCutShort: createCounter('turns_cut_short_total', 'Turns ended early, by reason (iterations, timeout or max_tokens)', ['reason']),
+  apiErrors: createCounter('api_errors_total', 'Failed external API requests, by service and HTTP status (or "network")', ['service', 'status']),
+  rateLimitRemaining: createGauge('rate_limit_remaining', 'Requests or tokens left in the current rate-limit window', ['service', 'resource']),
+  rateLimitLimit: createGauge('rate_limit_limit', 'Size of the current rate-limit window', ['service', 'resource'])
+}
+
+function recordRateLimits(service, headers) {
+  // GitHub: one window per resource (core, search, graphql...)
+  if (headers.has('x-ratelimit-remaining')) {
+    const resource = headers.get('x-ratelimit-resource') || 'core'
+    metrics.rateLimitRemaining.set({ service, resource }, Number(headers.get('x-ratelimit-remaining')))
+    metrics.rateLimitLimit.set({ service, resource }, Number(headers.get('x-ratelimit-limit')))
+  }
+
+  // Anthropic: separate request and token windows
+  for (const resource of ['requests', 'tokens', 'input-tokens', 'output-tokens']) {
+    const remaining = headers.get(`anthropic-ratelimit-${resource}-remaining`)
+    if (remaining !== null) {
+      metrics.rateLimitRemaining.set({ service, resource }, Number(remaining))
+      metrics.rateLimitLimit.set({ service, resource }, Number(headers.get(`anthropic-ratelimit-${resource}-limit`)))
+    }
+  }
+}
+
+/**
+ * fetch() that counts failures for `service` (github, poke, todoist, claude)
+ * and records rate-limit headroom. Responses are returned as-is; callers keep
+ * their own error handling.
+ */
+export async function fetchWithMetrics(service, url, options) {
+  let response
+  try {
+    response = await fetch(url, options)
+  } catch (error) {
+    metrics.apiErrors.inc({ service, status: 'network' })
+    throw error
+  }
+
+  recordRateLimits(service, response.headers)
+  // 304s from conditional requests aren't failures
+  if (response.status >= 400) {
+    metrics.apiErrors.inc({ service, status: response.status })
+  }
+  return response
+}
@@ -0,0 +1,159 @@
+/**
+ * Model Router
+ * Picks the model for each Claude call:
+ *
+ * - small (CLAUDE_SMALL_MODEL): short, simple texts and internal jobs like
+ *   summaries and proactive checks
+ * - large (CLAUDE_MODEL): long or multi-part requests, anything that sounds
+ *   like code/repo/task work, and turns that keep calling tools
+ *
+ * Each tier has a fallback chain - small falls back to large, large to
+ * CLAUDE_FALLBACK_MODELS - tried in order when a model is overloaded or the
+ * API returns a 5xx. A contact can pin their conversation to a tier or a
+ * model id with the "model ..." text command; overrides are kept in the
+ * state store ("model-overrides"). A pinned id the API doesn't know falls
+ * back to the large chain too.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { config } from './config.js'
+
+const STATE_NAME = 'model-overrides'
+const TIERS = ['small', 'large']
+// 529 is Anthropic's "overloaded"
+const isRetryableStatus = status => status === 529 || (status >= 500 && status < 600)
+const isUnknownModel = error => error.status === 404 || /not_found_error/.test(error.message)
+
+// Words that usually mean real work rather than chat
+const LARGE_HINTS = /\b(code|repo|github|commit|debug|refactor|write|draft|plan|analy[sz]e|research|compare|explain|summari[sz]e|email|calendar|schedule|task|todo)\b/i
+const SMALL_MAX_LENGTH = 120
+// After this many tool calls in one turn, the rest of the turn goes to the large model
+const TOOL_ESCALATION_THRESHOLD = 2
+
+let lastFallback = null
+
+function chainFor(tier) {
+  const chain = tier === 'small'
+    ? [config.smallModel, config.model]
+    : [config.model, ...config.fallbackModels]
+  return [...new Set(chain.filter(Boolean))]
+}
+
+/**
+ * Tier for a conversation turn. `override` is the contact's pinned tier or
+ * model id, if any.
+ */
+export function chooseTier({ text = '', isComplexRequest = false, toolCalls = 0, override = null }) {
+  if (override) return override
+  if (isComplexRequest || toolCalls > TOOL_ESCALATION_THRESHOLD) return 'large'
+  if (text.length <= SMALL_MAX_LENGTH && !LARGE_HINTS.test(text)) return 'small'
+  return 'large'
+}
+
+/**
+ * Models to try, in order, for a tier or a pinned model id, with the
+ * max_tokens to use.
+ */
+export function resolveModels(tierOrModel) {
+  if (TIERS.includes(tierOrModel)) {
+    return {
+      models: chainFor(tierOrModel),
+      maxTokens: tierOrModel === 'small' ? config.smallMaxTokens : config.maxTokens
+    }
+  }
+
+  // A specific model id still falls back to the large chain
+  return { models: [...new Set([tierOrModel, ...chainFor('large')])], maxTokens: config.maxTokens }
+}
+
+/**
+ * Send `requestBody` (without a model) through `request(body)`, trying each
+ * model for the tier in turn. Only overload/5xx errors - or a pinned model id
+ * that doesn't exist - move on to the next model; anything else is thrown
+ * right away.
+ */
+export async function routeRequest(tierOrModel, requestBody, request) {
+  const { models, maxTokens } = resolveModels(tierOrModel)
+  const pinned = TIERS.includes(tierOrModel) ? null : tierOrModel
+  let lastError = null
+
+  for (const model of models) {
+    try {
+      const data = await request({ max_tokens: maxTokens, ...requestBody, model })
+      if (model !== models[0]) {
+        lastFallback = { from: models[0], to: model, reason: lastError.message.substring(0, 200), at: new Date().toISOString() }
+      }
+      return data
+    } catch (error) {
+      if (model === pinned && isUnknownModel(error)) {
+        console.warn(`   ⚠️  Pinned model ${model} not found, using the large model chain`)
+        lastError = error
+        continue
+      }
+      if (!isRetryableStatus(error.status)) {
+        throw error
+      }
+      console.warn(`   ⚠️  ${model} unavailable (${error.status}), trying the next model`)
+      lastError = error
+    }
+  }
+
+  throw lastError
+}
+
+// ============================================================================
+// PER-CONVERSATION OVERRIDES - "model small|large|auto|<model id>"
+// ============================================================================
+
+export async function getModelOverride(contactId) {
+  const { overrides } = await loadState(STATE_NAME, { overrides: {} })
+  return overrides[contactId] || null
+}
+
+export async function setModelOverride(contactId, value) {
+  const state = await loadState(STATE_NAME, { overrides: {} })
+  if (value) {
+    state.overrides[contactId] = value
+  } else {
+    delete state.overrides[contactId]
+  }
+  await saveState(STATE_NAME, state)
+}
+
+/**
+ * Handle the "model" text command. Returns the reply text, or null when the
+ * message isn't a model command.
+ */
+export async function handleModelCommand(contactId, text) {
+  const match = text.trim().match(/^model(?:\s+(\S+))?\s*$/i)
+  if (!match) return null
+
+  const choice = match[1]?.toLowerCase()
+  if (!choice) {
+    const override = await getModelOverride(contactId)
+    return override
+      ? `Using ${override} for this conversation. Text "model auto" to go back to automatic.`
+      : `Picking automatically: ${config.smallModel} for quick texts, ${config.model} for bigger jobs.`
+  }
+
+  if (choice === 'auto') {
+    await setModelOverride(contactId, null)
+    return '✓ Back to picking the model automatically'
+  }
+
+  if (!TIERS.includes(choice) && !/^claude-[\w.-]+$/.test(choice)) {
+    return 'Try "model small", "model large", "model auto" or a model id like claude-sonnet-4-5-20250929.'
+  }
+
+  await setModelOverride(contactId, choice)
+  const { models } = resolveModels(choice)
+  return `✓ Using ${choice === models[0] ? choice : `the ${choice} model (${models[0]})`} for this conversation`
+}
+
+export function getModelRoutingStatus() {
+  return {
+    small: chainFor('small'),
+    large: chainFor('large'),
+    lastFallback
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * Outbox
+ * Every outbound side effect (SMS sends, conversation log commits) is first
+ * written to a persisted queue, then executed by a registered handler.
+ *
+ * - Each action has an idempotency key; enqueueing a key that was already
+ *   queued, delivered or dead-lettered is a no-op, so a reply can't go out twice
+ * - Failures retry with exponential backoff; after OUTBOX_MAX_ATTEMPTS the
+ *   action moves to the dead-letter list (shown on /status)
+ * - The queue lives in the state store, so pending actions survive restarts
+ * - Actions keep the log correlation id they were queued under, so retries
+ *   log against the message that caused them
+ * - Every change is a read-modify-write of freshly loaded state, one at a
+ *   time, so an action queued while another is being delivered isn't lost
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { getLogContext, runWithLogContext, recordError } from './logger.js'
+import { config } from './config.js'
+
+const OUTBOX_MAX_ATTEMPTS = config.outboxMaxAttempts
+const BASE_RETRY_DELAY = 5 * 1000 // 5 seconds, doubled per attempt
+const MAX_RETRY_DELAY = 30 * 60 * 1000 // 30 minutes
+const DONE_RETENTION = 7 * 24 * 60 * 60 * 1000 // keep delivered keys a week for dedupe
+const MAX_DEAD_LETTERS = 50
+
+const STATE_NAME = 'outbox'
+
+const handlers = new Map()
+let running = false
+// Tail of the chain of outbox updates - each one waits for the previous
+let updates = Promise.resolve()
+
+export function registerOutboxHandler(type, handler) {
+  handlers.set(type, handler)
+}
+
+function emptyOutbox() {
+  return { actions: [], delivered: {}, dead: [] }
+}
+
+function knownKey(outbox, key) {
+  return !!outbox.delivered[key] ||
+    outbox.actions.some(action => action.key === key) ||
+    outbox.dead.some(action => action.key === key)
+}
+
+// Load the outbox, let `change` edit it, and save it if `change` returns
+// true. Updates run one after another, never interleaved.
+function updateOutbox(change) {
+  const update = updates.then(async () => {
+    const outbox = await loadState(STATE_NAME, emptyOutbox())
+    if (change(outbox)) {
+      await saveState(STATE_NAME, outbox)
+    }
+  })
+  updates = update.catch(() => {})
+  return update
+}
+
+/**
+ * Queue actions ({ key, type, payload }) in one write. Returns how many were new.
+ */
+export async function enqueueOutbox(actions) {
+  for (const { type } of actions) {
+    if (!handlers.has(type)) {
+      throw new Error(`No outbox handler for "${type}"`)
+    }
+  }
+
+  const now = new Date().toISOString()
+  const { correlationId = null, contactId = null } = getLogContext()
+  let added = 0
+
+  await updateOutbox(outbox => {
+    for (const { key, type, payload } of actions) {
+      if (knownKey(outbox, key)) {
+        console.log(`   📮 Skipping duplicate outbox action ${key}`)
+        continue
+      }
+
+      outbox.actions.push({ key, type, payload, attempts: 0, createdAt: now, nextAttemptAt: now, lastError: null, correlationId, contactId })
+      added++
+    }
+    return added > 0
+  })
+  return added
+}
+
+// True if any action whose key starts with `prefix` was ever queued
+export async function hasOutboxAction(prefix) {
+  const outbox = await loadState(STATE_NAME, emptyOutbox())
+  return Object.keys(outbox.delivered).some(key => key.startsWith(prefix)) ||
+    outbox.actions.some(action => action.key.startsWith(prefix)) ||
+    outbox.dead.some(action => action.key.startsWith(prefix))
+}
+
+function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY)
+}
+
+/**
+ * Run every due action in the order it was queued. Safe to call often -
+ * overlapping calls return immediately.
+ */
+export async function processOutbox() {
+  if (running) return
+  running = true
+
+  try {
+    const { actions } = await loadState(STATE_NAME, emptyOutbox())
+    const now = Date.now()
+    const due = actions.filter(action => new Date(action.nextAttemptAt).getTime() <= now)
+
+    for (const action of due) {
+      const attempts = action.attempts + 1
+      let failure = null
+
+      try {
+        await runWithLogContext(
+          { correlationId: action.correlationId || action.key, contactId: action.contactId, outboxKey: action.key },
+          () => handlers.get(action.type)(action.payload, { key: action.key, attempt: attempts })
+        )
+      } catch (error) {
+        failure = error
+        console.error(`❌ Outbox ${action.key} failed (attempt ${attempts}/${OUTBOX_MAX_ATTEMPTS}):`, error.message)
+        runWithLogContext({ correlationId: action.correlationId || action.key, contactId: action.contactId }, () => recordError(`outbox:${action.type}`, error))
+      }
+
+      // Persist after every action so a crash can't replay one that already ran.
+      // Only this action changes - anything queued meanwhile is kept.
+      await updateOutbox(outbox => {
+        const stored = outbox.actions.find(a => a.key === action.key)
+        if (!stored) return false
+
+        stored.attempts = attempts
+        if (!failure) {
+          outbox.actions = outbox.actions.filter(a => a !== stored)
+          outbox.delivered[stored.key] = new Date().toISOString()
+        } else if (attempts >= OUTBOX_MAX_ATTEMPTS) {
+          stored.lastError = failure.message
+          outbox.actions = outbox.actions.filter(a => a !== stored)
+          outbox.dead.push({ ...stored, deadAt: new Date().toISOString() })
+          outbox.dead = outbox.dead.slice(-MAX_DEAD_LETTERS)
+          console.error(`   ☠️  Moved ${stored.key} to the dead-letter list`)
+        } else {
+          stored.lastError = failure.message
+          stored.nextAttemptAt = new Date(Date.now() + retryDelay(attempts)).toISOString()
+        }
+        return true
+      })
+    }
+
+    // Forget old delivered keys
+    const cutoff = Date.now() - DONE_RETENTION
+    await updateOutbox(outbox => {
+      const expired = Object.entries(outbox.delivered).filter(([, at]) => new Date(at).getTime() < cutoff)
+      for (const [key] of expired) delete outbox.delivered[key]
+      return expired.length > 0
+    })
+  } finally {
+    running = false
+  }
+}
+
+export async function getOutboxStatus() {
+  const outbox = await loadState(STATE_NAME, emptyOutbox())
+  return {
+    pending: outbox.actions.map(({ key, type, attempts, nextAttemptAt, lastError }) => ({
+      key, type, attempts, nextAttemptAt, lastError
+    })),
+    deadLetters: outbox.dead.map(({ key, type, attempts, lastError, deadAt }) => ({
+      key, type, attempts, lastError, deadAt
+    }))
+  }
+}
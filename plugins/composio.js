@@ -0,0 +1,88 @@
+/**
+ * Composio Plugin
+ * Google Calendar and Gmail tools through Composio. Needs COMPOSIO_API_KEY;
+ * without it the plugin stays off. The calendar and Gmail signals for the
+ * proactive engine run through the same provider.
+ */
+
+import { ComposioToolSet } from 'composio-core'
+import { config } from '../config.js'
+
+const COMPOSIO_API_KEY = config.composioApiKey
+
+let composioToolset = null
+
+async function getComposioTools() {
+  console.log('   🔧 Loading Composio tools (Google Calendar, Gmail, etc.)...')
+
+  const composioSchema = await composioToolset.getToolsSchema({
+    apps: ['googlecalendar', 'gmail', 'googledrive'],
+    // Get key actions for each app
+    actions: [
+      // Google Calendar
+      'GOOGLECALENDAR_FIND_EVENT',
+      'GOOGLECALENDAR_CREATE_EVENT',
+      'GOOGLECALENDAR_QUICK_ADD_EVENT',
+      // Gmail
+      'GMAIL_SEARCH_EMAILS',
+      'GMAIL_SEND_EMAIL',
+      // Google Drive (if needed later)
+      // 'GOOGLEDRIVE_FIND_FILE',
+      // 'GOOGLEDRIVE_CREATE_FILE'
+    ]
+  })
+
+  // Convert Composio format to Claude format
+  const claudeTools = composioSchema.map(tool => ({
+    name: tool.name.toLowerCase(),
+    description: tool.description || `Execute ${tool.name}`,
+    input_schema: tool.parameters || {
+      type: 'object',
+      properties: {},
+      required: []
+    }
+  }))
+
+  console.log(`   ✓ Loaded ${claudeTools.length} Composio tools`)
+  return claudeTools
+}
+
+// The Composio SDK takes no AbortSignal, so `signal` can only stop an action
+// that hasn't been sent yet
+async function executeComposioAction(toolName, toolInput, { signal } = {}) {
+  try {
+    console.log(`   🔧 Executing Composio ${toolName}...`)
+
+    const entity = await composioToolset.getEntity('default')
+    signal?.throwIfAborted()
+
+    // Execute action with proper format
+    const result = await composioToolset.executeAction({
+      action: toolName.toUpperCase(),
+      params: toolInput,
+      entityId: entity.id
+    })
+
+    console.log(`   ✓ ${toolName} completed`)
+    return result
+  } catch (error) {
+    console.error(`   ❌ Error executing ${toolName}:`, error.message)
+    throw error
+  }
+}
+
+export default function createProvider() {
+  if (!COMPOSIO_API_KEY) return null
+
+  composioToolset = new ComposioToolSet({ apiKey: COMPOSIO_API_KEY })
+  return {
+    name: 'composio',
+    getTools: getComposioTools,
+    execute: executeComposioAction,
+    serialTools: ['googlecalendar_create_event', 'googlecalendar_quick_add_event', 'gmail_send_email'],
+    healthCheck: async () => {
+      await composioToolset.getEntity('default')
+      return { ok: true }
+    }
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Todoist Plugin
+ * Task tools backed by the Todoist REST API. Needs TODOIST_API_KEY; without
+ * it the plugin stays off. The proactive engine's Todoist signal uses the
+ * provider's request() helper too.
+ */
+
+import { config } from '../config.js'
+import { fetchWithMetrics } from '../metrics.js'
+
+const TODOIST_API_KEY = config.todoistApiKey
+
+// Todoist API helpers - `signal` aborts the request when a tool call times out
+async function todoistRequest(endpoint, method = 'GET', body = null, { signal } = {}) {
+  const response = await fetchWithMetrics('todoist', `https://api.todoist.com/rest/v2/${endpoint}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${TODOIST_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : null,
+    signal
+  })
+
+  if (!response.ok) {
+    const error = await response.text()
+    throw new Error(`Todoist API error: ${response.status} - ${error}`)
+  }
+
+  if (response.status === 204) return { success: true }
+  return await response.json()
+}
+
+// Tools in Claude format
+const TOOLS = [
+  {
+    name: 'todoist_create_task',
+    description: 'Create a new task in Todoist. Use this to add tasks to the user\'s todo list.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        content: {
+          type: 'string',
+          description: 'The task content/title'
+        },
+        description: {
+          type: 'string',
+          description: 'A detailed description of the task'
+        },
+        due_string: {
+          type: 'string',
+          description: 'Human-friendly due date like "tomorrow", "next Monday", "Jan 23"'
+        },
+        priority: {
+          type: 'integer',
+          description: 'Priority from 1 (normal) to 4 (urgent)',
+          enum: [1, 2, 3, 4]
+        },
+        labels: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Labels to add to the task'
+        }
+      },
+      required: ['content']
+    }
+  },
+  {
+    name: 'todoist_get_tasks',
+    description: 'Get active tasks from Todoist. Use this to check the user\'s todo list.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        filter: {
+          type: 'string',
+          description: 'Filter tasks (e.g., "today", "p1" for priority 1, or a project name)'
+        }
+      }
+    }
+  },
+  {
+    name: 'todoist_complete_task',
+    description: 'Mark a task as complete in Todoist.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'The task ID to complete'
+        }
+      },
+      required: ['id']
+    }
+  },
+  {
+    name: 'todoist_update_task',
+    description: 'Update an existing task in Todoist.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        id: {
+          type: 'string',
+          description: 'The task ID to update'
+        },
+        content: {
+          type: 'string',
+          description: 'New task content/title'
+        },
+        description: {
+          type: 'string',
+          description: 'New task description'
+        },
+        due_string: {
+          type: 'string',
+          description: 'New due date'
+        },
+        priority: {
+          type: 'integer',
+          description: 'New priority (1-4)'
+        }
+      },
+      required: ['id']
+    }
+  }
+]
+
+async function executeTodoistAction(toolName, toolInput, { signal } = {}) {
+  try {
+    console.log(`   🔧 Executing ${toolName}...`)
+
+    let result
+    switch (toolName) {
+      case 'todoist_create_task':
+        result = await todoistRequest('tasks', 'POST', toolInput, { signal })
+        break
+
+      case 'todoist_get_tasks':
+        const filter = toolInput.filter ? `?filter=${encodeURIComponent(toolInput.filter)}` : ''
+        result = await todoistRequest(`tasks${filter}`, 'GET', null, { signal })
+        break
+
+      case 'todoist_complete_task':
+        await todoistRequest(`tasks/${toolInput.id}/close`, 'POST', null, { signal })
+        result = { success: true, message: `Task ${toolInput.id} completed` }
+        break
+
+      case 'todoist_update_task':
+        const { id, ...updateData } = toolInput
+        result = await todoistRequest(`tasks/${id}`, 'POST', updateData, { signal })
+        break
+
+      default:
+        throw new Error(`Unknown tool: ${toolName}`)
+    }
+
+    console.log(`   ✓ ${toolName} completed`)
+    return result
+  } catch (error) {
+    console.error(`   ❌ Error executing ${toolName}:`, error.message)
+    throw error
+  }
+}
+
+export default function createProvider() {
+  if (!TODOIST_API_KEY) return null
+
+  return {
+    name: 'todoist',
+    getTools: async () => TOOLS,
+    execute: executeTodoistAction,
+    serialTools: ['todoist_create_task', 'todoist_complete_task', 'todoist_update_task'],
+    healthCheck: async () => {
+      await todoistRequest('projects')
+      return { ok: true }
+    },
+    request: todoistRequest
+  }
+}
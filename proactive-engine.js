@@ -0,0 +1,174 @@
+/**
+ * Proactive Messaging Engine
+ * Signal providers produce candidate alerts; the engine decides what (if
+ * anything) to text the owner (OWNER_NAME, the primary contact) about.
+ *
+ * A provider is { name, collect({ now, wasSent, memory }) } where collect
+ * resolves to candidates shaped like:
+ *
+ *   { id, title, urgency, details? }
+ *
+ * `id` is the dedupe key - an alert is only ever sent once. `urgency` is 0-1;
+ * anything below PROACTIVE_MIN_URGENCY is dropped. Nothing is sent during
+ * quiet hours or once the daily limit is reached. Sent ids and counters live
+ * in the state store, so a redeploy neither resets nor repeats anything.
+ * `memory` is a small object each provider may edit to keep its own notes
+ * (e.g. when it last asked the model); it's saved with the rest of the state.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { SCHEDULER_TIMEZONE } from './scheduler.js'
+import { config } from './config.js'
+
+const PROACTIVE_DAILY_LIMIT = config.proactiveDailyLimit
+const PROACTIVE_MIN_URGENCY = config.proactiveMinUrgency
+const PROACTIVE_QUIET_START = config.proactiveQuietStart // 9 PM by default
+const PROACTIVE_QUIET_END = config.proactiveQuietEnd // 9 AM by default
+const MAX_ALERTS_PER_MESSAGE = 3
+const SENT_RETENTION_DAYS = 14
+const MAX_RECENT_MESSAGES = 20 // kept for the dashboard
+
+const STATE_NAME = 'proactive-engine'
+
+const providers = []
+const providerErrors = {}
+let lastRun = null
+
+export function registerSignalProvider(provider) {
+  if (!provider?.name || typeof provider.collect !== 'function') {
+    throw new Error('A signal provider needs a name and a collect() function')
+  }
+  providers.push(provider)
+}
+
+function emptyState() {
+  return { sent: {}, day: null, sentToday: 0, lastSentAt: null, recentMessages: [], providers: {} }
+}
+
+function localDateAndHour(now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: SCHEDULER_TIMEZONE,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit'
+    }).formatToParts(now).map(({ type, value }) => [type, value])
+  )
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, hour: Number(parts.hour) }
+}
+
+export function isQuietHour(hour) {
+  // The window may wrap past midnight (e.g. 21 -> 9)
+  return PROACTIVE_QUIET_START > PROACTIVE_QUIET_END
+    ? hour >= PROACTIVE_QUIET_START || hour < PROACTIVE_QUIET_END
+    : hour >= PROACTIVE_QUIET_START && hour < PROACTIVE_QUIET_END
+}
+
+async function collectCandidates(now, state) {
+  const wasSent = id => !!state.sent[id]
+  state.providers = state.providers || {}
+
+  const results = await Promise.allSettled(providers.map(async provider => {
+    const memory = state.providers[provider.name] || (state.providers[provider.name] = {})
+    const candidates = await provider.collect({ now, wasSent, memory })
+    return candidates.map(candidate => ({ ...candidate, source: provider.name }))
+  }))
+
+  const candidates = []
+  results.forEach((result, i) => {
+    const name = providers[i].name
+    if (result.status === 'fulfilled') {
+      delete providerErrors[name]
+      candidates.push(...result.value)
+    } else {
+      console.error(`   ⚠️  Signal provider ${name} failed:`, result.reason?.message)
+      providerErrors[name] = { message: result.reason?.message, time: now.toISOString() }
+    }
+  })
+
+  return candidates
+}
+
+/**
+ * One engine pass. `compose(alerts)` turns the chosen alerts into a text,
+ * `send(text, { alerts, day })` delivers it. Returns the alerts that were sent.
+ */
+export async function runProactiveEngine({ compose, send, now = new Date() }) {
+  const state = await loadState(STATE_NAME, emptyState())
+  const { date, hour } = localDateAndHour(now)
+
+  if (state.day !== date) {
+    state.day = date
+    state.sentToday = 0
+  }
+
+  lastRun = { time: now.toISOString(), candidates: 0, sent: 0, skipped: null }
+
+  if (isQuietHour(hour)) {
+    lastRun.skipped = 'quiet hours'
+    return []
+  }
+  if (state.sentToday >= PROACTIVE_DAILY_LIMIT) {
+    lastRun.skipped = 'daily limit reached'
+    return []
+  }
+
+  const memoryBefore = JSON.stringify(state.providers || {})
+  const collected = await collectCandidates(now, state)
+  if (JSON.stringify(state.providers) !== memoryBefore) {
+    await saveState(STATE_NAME, state)
+  }
+
+  const candidates = collected
+    .filter(candidate => !state.sent[candidate.id] && candidate.urgency >= PROACTIVE_MIN_URGENCY)
+    .sort((a, b) => b.urgency - a.urgency)
+
+  lastRun.candidates = candidates.length
+  if (candidates.length === 0) {
+    return []
+  }
+
+  const alerts = candidates.slice(0, MAX_ALERTS_PER_MESSAGE)
+  console.log(`📨 Proactive: sending ${alerts.length} of ${candidates.length} alerts (${alerts.map(a => a.source).join(', ')})`)
+
+  const text = await compose(alerts)
+  await send(text, { alerts, day: date })
+
+  const sentAt = now.toISOString()
+  for (const alert of alerts) {
+    state.sent[alert.id] = sentAt
+  }
+  state.sentToday++
+  state.lastSentAt = sentAt
+  state.recentMessages = [
+    ...(state.recentMessages || []),
+    { sentAt, text, sources: alerts.map(alert => alert.source) }
+  ].slice(-MAX_RECENT_MESSAGES)
+
+  // Keep the dedupe list from growing forever
+  const cutoff = now.getTime() - SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  for (const [id, at] of Object.entries(state.sent)) {
+    if (new Date(at).getTime() < cutoff) delete state.sent[id]
+  }
+
+  await saveState(STATE_NAME, state)
+  lastRun.sent = alerts.length
+
+  return alerts
+}
+
+export async function getProactiveStatus() {
+  const state = await loadState(STATE_NAME, emptyState())
+  return {
+    providers: providers.map(provider => provider.name),
+    providerErrors,
+    dailyLimit: PROACTIVE_DAILY_LIMIT,
+    sentToday: state.day === localDateAndHour(new Date()).date ? state.sentToday : 0,
+    lastSentAt: state.lastSentAt,
+    recentMessages: state.recentMessages || [],
+    quietHours: `${PROACTIVE_QUIET_START}:00-${PROACTIVE_QUIET_END}:00 ${SCHEDULER_TIMEZONE}`,
+    lastRun
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * Scheduled Messages
+ * Reminders and recurring texts the model sets up with schedule_message.
+ * Jobs live in the state store ("scheduled-messages") so they survive
+ * restarts, and are fired by runDueJobs() from the agent's scheduler tick.
+ *
+ * A job runs once (send_at / delay_minutes) or on a 5-field cron rule
+ * ("minute hour day-of-month month day-of-week") evaluated in
+ * SCHEDULER_TIMEZONE. One-off jobs missed during downtime fire late; missed
+ * cron occurrences are skipped.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { belongsToContact } from './contacts.js'
+import { config } from './config.js'
+
+export const SCHEDULER_TIMEZONE = config.schedulerTimezone
+const STATE_NAME = 'scheduled-messages'
+const MAX_DELIVERY_ATTEMPTS = 5
+
+// ============================================================================
+// TIME ZONES - wall-clock helpers on top of Intl (no date library)
+// ============================================================================
+
+const partsFormatters = new Map()
+
+function zonedParts(date, timeZone = SCHEDULER_TIMEZONE) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }))
+  }
+
+  const parts = {}
+  for (const { type, value } of partsFormatters.get(timeZone).formatToParts(date)) {
+    parts[type] = value
+  }
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+  }
+}
+
+function timeZoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone)
+  const wallAsUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute)
+  return wallAsUtc - Math.floor(date.getTime() / 60000) * 60000
+}
+
+/**
+ * Parse an ISO 8601 time. Times without an offset ("2026-01-20T09:00") are
+ * read as wall-clock time in `timeZone`.
+ */
+export function parseScheduleTime(value, timeZone = SCHEDULER_TIMEZONE) {
+  const wall = value.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/)
+  if (!wall) {
+    const date = new Date(value)
+    if (isNaN(date.getTime())) {
+      throw new Error(`Invalid time "${value}" - use ISO 8601, e.g. 2026-01-20T09:00`)
+    }
+    return date
+  }
+
+  const [year, month, day, hour, minute, second] = wall.slice(1).map(part => Number(part || 0))
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second)
+  let offset = timeZoneOffsetMs(new Date(asUtc), timeZone)
+  // Re-check once in case the guess landed on the other side of a DST change
+  offset = timeZoneOffsetMs(new Date(asUtc - offset), timeZone)
+
+  return new Date(asUtc - offset)
+}
+
+export function formatInTimeZone(date, timeZone = SCHEDULER_TIMEZONE) {
+  return new Date(date).toLocaleString('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' })
+}
+
+// ============================================================================
+// CRON - "minute hour day-of-month month day-of-week"
+// ============================================================================
+
+function parseCronField(field, min, max, name) {
+  const values = new Set()
+
+  for (const part of field.split(',')) {
+    const [range, stepText] = part.split('/')
+    const step = stepText === undefined ? 1 : Number(stepText)
+    let low
+    let high
+
+    if (range === '*') {
+      low = min
+      high = max
+    } else if (range.includes('-')) {
+      [low, high] = range.split('-').map(Number)
+    } else {
+      low = Number(range)
+      high = stepText === undefined ? low : max
+    }
+
+    if (![low, high, step].every(Number.isInteger) || low < min || high > max || low > high || step < 1) {
+      throw new Error(`Invalid cron ${name} field "${field}"`)
+    }
+
+    for (let value = low; value <= high; value += step) {
+      values.add(value)
+    }
+  }
+
+  return values
+}
+
+export function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/)
+  if (fields.length !== 5) {
+    throw new Error(`Cron rule "${expression}" must have 5 fields: minute hour day-of-month month day-of-week`)
+  }
+
+  const weekdays = parseCronField(fields[4], 0, 7, 'day-of-week')
+  if (weekdays.has(7)) weekdays.add(0) // 7 is also Sunday
+
+  return {
+    minutes: parseCronField(fields[0], 0, 59, 'minute'),
+    hours: parseCronField(fields[1], 0, 23, 'hour'),
+    days: parseCronField(fields[2], 1, 31, 'day-of-month'),
+    months: parseCronField(fields[3], 1, 12, 'month'),
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  }
+}
+
+function cronDayMatches(cron, parts) {
+  const dayOfMonth = cron.days.has(parts.day)
+  const dayOfWeek = cron.weekdays.has(parts.weekday)
+
+  // Standard cron: when both day fields are restricted, either one may match
+  if (!cron.anyDay && !cron.anyWeekday) return dayOfMonth || dayOfWeek
+  return dayOfMonth && dayOfWeek
+}
+
+export function nextCronRun(expression, after = new Date(), timeZone = SCHEDULER_TIMEZONE) {
+  const cron = parseCron(expression)
+  const limit = after.getTime() + 366 * 24 * 60 * 60 * 1000
+  let time = Math.floor(after.getTime() / 60000) * 60000 + 60000
+
+  while (time < limit) {
+    const parts = zonedParts(new Date(time), timeZone)
+
+    if (!cron.months.has(parts.month) || !cronDayMatches(cron, parts)) {
+      // Jump to the next local midnight
+      time += ((23 - parts.hour) * 60 + (60 - parts.minute)) * 60000
+    } else if (!cron.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * 60000
+    } else if (!cron.minutes.has(parts.minute)) {
+      time += 60000
+    } else {
+      return new Date(time)
+    }
+  }
+
+  throw new Error(`Cron rule "${expression}" never fires within a year`)
+}
+
+// ============================================================================
+// JOBS
+// ============================================================================
+
+async function loadJobs() {
+  return loadState(STATE_NAME, { jobs: [] })
+}
+
+// `contact` is who the message goes to (see contacts.js); jobs without one go to the primary contact
+export async function scheduleMessage({ message, send_at: sendAt, delay_minutes: delayMinutes, cron }, sourceMessage = null, contact = null) {
+  const modes = [sendAt, delayMinutes, cron].filter(value => value !== undefined && value !== null)
+  if (modes.length !== 1) {
+    throw new Error('Provide exactly one of send_at, delay_minutes or cron')
+  }
+
+  const now = new Date()
+  let nextRunAt
+
+  if (cron) {
+    nextRunAt = nextCronRun(cron, now)
+  } else if (delayMinutes !== undefined && delayMinutes !== null) {
+    if (!(delayMinutes > 0)) throw new Error('delay_minutes must be positive')
+    nextRunAt = new Date(now.getTime() + delayMinutes * 60000)
+  } else {
+    nextRunAt = parseScheduleTime(sendAt)
+    if (nextRunAt <= now) throw new Error(`${formatInTimeZone(nextRunAt)} is in the past`)
+  }
+
+  const job = {
+    id: `sched_${now.getTime()}`,
+    message,
+    kind: cron ? 'recurring' : 'once',
+    cron: cron || null,
+    timeZone: SCHEDULER_TIMEZONE,
+    nextRunAt: nextRunAt.toISOString(),
+    createdAt: now.toISOString(),
+    sourceMessageId: sourceMessage?.id || null,
+    contactId: contact?.id || null,
+    lastRunAt: null,
+    runCount: 0,
+    failures: 0,
+    lastError: null,
+    active: true
+  }
+
+  const state = await loadJobs()
+  state.jobs.push(job)
+  await saveState(STATE_NAME, state)
+
+  console.log(`⏰ Scheduled ${job.id} for ${job.nextRunAt}${cron ? ` (cron ${cron})` : ''}`)
+  return job
+}
+
+export async function listScheduledMessages({ includeInactive = false, contact = null } = {}) {
+  const { jobs } = await loadJobs()
+  return jobs
+    .filter(job => includeInactive || job.active)
+    .filter(job => !contact || belongsToContact(contact, job.contactId))
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))
+}
+
+export async function cancelScheduledMessage(jobId, contact = null) {
+  const state = await loadJobs()
+  const job = state.jobs.find(j => j.id === jobId && (!contact || belongsToContact(contact, j.contactId)))
+
+  if (!job) throw new Error(`No scheduled message with id ${jobId}`)
+  if (!job.active) throw new Error(`${jobId} is no longer active`)
+
+  job.active = false
+  job.cancelledAt = new Date().toISOString()
+  await saveState(STATE_NAME, state)
+
+  return job
+}
+
+/**
+ * Fire every job that is due. `deliver(job)` sends the text and logs it to
+ * the conversation; a job only advances once delivery succeeded.
+ */
+export async function runDueJobs(deliver) {
+  const state = await loadJobs()
+  const now = new Date()
+  const due = state.jobs.filter(job => job.active && new Date(job.nextRunAt) <= now)
+
+  if (due.length === 0) return 0
+
+  for (const job of due) {
+    try {
+      console.log(`⏰ Firing scheduled message ${job.id}`)
+      await deliver(job)
+
+      job.lastRunAt = now.toISOString()
+      job.runCount++
+      job.failures = 0
+      job.lastError = null
+
+      if (job.kind === 'recurring') {
+        job.nextRunAt = nextCronRun(job.cron, now, job.timeZone).toISOString()
+      } else {
+        job.active = false
+      }
+    } catch (error) {
+      console.error(`❌ Scheduled message ${job.id} failed:`, error.message)
+      job.failures++
+      job.lastError = error.message
+      if (job.failures >= MAX_DELIVERY_ATTEMPTS) {
+        console.error(`   Giving up on ${job.id} after ${job.failures} attempts`)
+        job.active = false
+      }
+    }
+  }
+
+  await saveState(STATE_NAME, state)
+  return due.length
+}
+
+// ============================================================================
+// SCHEDULER TOOLS - schedule_message / list_scheduled / cancel_scheduled
+// ============================================================================
+
+export function getSchedulerTools() {
+  return [
+    {
+      name: 'schedule_message',
+      description: `Schedule a text to the person you're texting for later: a one-off reminder or a recurring message. Give exactly one of send_at, delay_minutes or cron. Times are in ${SCHEDULER_TIMEZONE} unless they include an offset.`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          message: {
+            type: 'string',
+            description: 'The text to send, written as the final message (e.g. "Reminder: submit the Understanding Sprint deck")'
+          },
+          send_at: {
+            type: 'string',
+            description: 'When to send, ISO 8601 like "2026-01-20T09:00"'
+          },
+          delay_minutes: {
+            type: 'number',
+            description: 'Send this many minutes from now'
+          },
+          cron: {
+            type: 'string',
+            description: 'Recurring rule "minute hour day-of-month month day-of-week", e.g. "0 9 * * 1-5" for weekdays at 9am'
+          }
+        },
+        required: ['message']
+      }
+    },
+    {
+      name: 'list_scheduled',
+      description: 'List upcoming scheduled and recurring messages with their ids.',
+      input_schema: {
+        type: 'object',
+        properties: {}
+      }
+    },
+    {
+      name: 'cancel_scheduled',
+      description: 'Cancel a scheduled or recurring message by id (find it with list_scheduled).',
+      input_schema: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            description: 'The scheduled message id, e.g. "sched_1737400000000"'
+          }
+        },
+        required: ['id']
+      }
+    }
+  ]
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    message: job.message,
+    kind: job.kind,
+    cron: job.cron,
+    nextRun: formatInTimeZone(job.nextRunAt, job.timeZone),
+    active: job.active
+  }
+}
+
+// Each contact only sees and cancels their own jobs
+export async function executeSchedulerAction(toolName, toolInput, { message = null, contact = null } = {}) {
+  console.log(`   🔧 Executing ${toolName}...`)
+
+  switch (toolName) {
+    case 'schedule_message':
+      return describeJob(await scheduleMessage(toolInput, message, contact))
+
+    case 'list_scheduled':
+      return { scheduled: (await listScheduledMessages({ contact })).map(describeJob) }
+
+    case 'cancel_scheduled':
+      return { cancelled: describeJob(await cancelScheduledMessage(toolInput.id, contact)) }
+
+    default:
+      throw new Error(`Unknown tool: ${toolName}`)
+  }
+}
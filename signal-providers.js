@@ -0,0 +1,187 @@
+/**
+ * Built-in Signal Providers for the proactive engine
+ * Each factory takes the integrations it needs and returns
+ * { name, collect({ now, wasSent, memory }) } - see proactive-engine.js.
+ */
+
+import { githubFetch } from './github.js'
+import { checkCompletedTasks, formatTaskStatus } from './task-ledger.js'
+import { SCHEDULER_TIMEZONE } from './scheduler.js'
+import { config } from './config.js'
+
+const GITHUB_OWNER = config.githubOwner
+const OWNER_FIRST_NAME = config.ownerName.split(' ')[0]
+
+// YYYY-MM-DD in the owner's time zone, not the server's
+function localDate(now) {
+  return now.toLocaleDateString('en-CA', { timeZone: SCHEDULER_TIMEZONE })
+}
+
+// Composio responses vary by action and version - find the first list we recognise
+function findList(result, keys) {
+  const data = result?.data ?? result
+  for (const key of keys) {
+    const value = key.split('.').reduce((node, part) => node?.[part], data)
+    if (Array.isArray(value)) return value
+  }
+  return []
+}
+
+/**
+ * Calendar: events starting within the next two hours. The closer, the more urgent.
+ */
+export function createCalendarProvider({ executeComposioAction, lookaheadMinutes = 120 }) {
+  return {
+    name: 'calendar',
+    async collect({ now }) {
+      const result = await executeComposioAction('googlecalendar_find_event', {
+        timeMin: now.toISOString(),
+        timeMax: new Date(now.getTime() + lookaheadMinutes * 60000).toISOString()
+      })
+
+      return findList(result, ['event_data.event_data', 'event_data', 'items', 'events'])
+        .filter(event => event.start?.dateTime) // all-day events aren't "upcoming"
+        .map(event => {
+          const minutesUntil = (new Date(event.start.dateTime) - now) / 60000
+          return {
+            id: `calendar:${event.id}:${event.start.dateTime}`,
+            title: `${event.summary || 'Event'} starts in ${Math.max(0, Math.round(minutesUntil))} min`,
+            details: event.location || event.hangoutLink || null,
+            urgency: minutesUntil <= 0 ? 0 : 0.95 - (minutesUntil / lookaheadMinutes) * 0.35
+          }
+        })
+    }
+  }
+}
+
+/**
+ * Gmail: unread mail Gmail marked important in the last day.
+ */
+export function createGmailProvider({ executeComposioAction }) {
+  return {
+    name: 'gmail',
+    async collect() {
+      const result = await executeComposioAction('gmail_search_emails', {
+        query: 'is:unread is:important newer_than:1d',
+        max_results: 5
+      })
+
+      return findList(result, ['messages', 'emails'])
+        .map(email => ({
+          id: `gmail:${email.messageId || email.id}`,
+          title: `Email from ${email.sender || email.from || 'unknown'}: ${email.subject || '(no subject)'}`,
+          details: (email.preview?.body || email.snippet || '').substring(0, 200) || null,
+          urgency: 0.6
+        }))
+    }
+  }
+}
+
+/**
+ * Todoist: tasks due today or overdue. p1 tasks get a bump.
+ */
+export function createTodoistProvider({ todoistRequest }) {
+  return {
+    name: 'todoist',
+    async collect({ now }) {
+      const tasks = await todoistRequest(`tasks?filter=${encodeURIComponent('today | overdue')}`)
+      const today = localDate(now)
+
+      return tasks
+        .filter(task => task.due?.date)
+        .map(task => {
+          const overdue = task.due.date < today
+          return {
+            id: `todoist:${task.id}:${task.due.date}`,
+            title: `${overdue ? 'Overdue' : 'Due today'}: ${task.content}`,
+            urgency: (overdue ? 0.7 : 0.55) + (task.priority === 4 ? 0.15 : 0)
+          }
+        })
+    }
+  }
+}
+
+/**
+ * Local agent tasks that finished since the last few checks.
+ */
+export function createLocalTaskProvider({ windowMs = 60 * 60 * 1000 } = {}) {
+  return {
+    name: 'local-tasks',
+    async collect() {
+      const tasks = await checkCompletedTasks(windowMs)
+      return tasks
+        .filter(task => task.state !== 'cancelled')
+        .map(task => ({
+          id: `task:${task.id}:${task.state}:${task.attempts ?? 0}`,
+          title: `Local task ${formatTaskStatus(task)}`,
+          details: task.outputPreview?.substring(0, 200) || null,
+          urgency: task.state === 'failed' ? 0.7 : 0.55
+        }))
+    }
+  }
+}
+
+/**
+ * Repo activity: issues and PRs from other people that involve the owner.
+ */
+export function createRepoActivityProvider({ owner = GITHUB_OWNER, windowHours = 24 } = {}) {
+  return {
+    name: 'repo-activity',
+    async collect({ now }) {
+      const since = new Date(now.getTime() - windowHours * 60 * 60 * 1000).toISOString().split('.')[0]
+      const query = `involves:${owner} -author:${owner} updated:>=${since}`
+      const response = await githubFetch(
+        `https://api.github.com/search/issues?q=${encodeURIComponent(query)}&sort=updated&per_page=10`
+      )
+
+      if (!response.ok) {
+        throw new Error(`GitHub search failed: ${response.status}`)
+      }
+
+      const { items } = await response.json()
+      return items.map(item => ({
+        id: `github:${item.id}:${item.updated_at}`,
+        title: `${item.pull_request ? 'PR' : 'Issue'} activity on ${item.repository_url.split('/repos/')[1]}: ${item.title}`,
+        details: item.html_url,
+        urgency: item.pull_request ? 0.5 : 0.4
+      }))
+    }
+  }
+}
+
+/**
+ * The original once-a-day check-in: ask the model whether anything in
+ * the owner's context is worth a text today. Runs at most once per day.
+ */
+export function createContextCheckInProvider({ completeText, loadRelevantContext, query }) {
+  return {
+    name: 'context-check-in',
+    async collect({ now, wasSent, memory }) {
+      // The model call is the expensive part - only ask once per day, even
+      // after a SKIP or a restart
+      const day = localDate(now)
+      const id = `checkin:${day}`
+      if (wasSent(id) || memory.lastAskedDay === day) return []
+      memory.lastAskedDay = day
+
+      const relevantContext = await loadRelevantContext(query)
+      const message = (await completeText(
+        `You are Claude, deciding whether to send ${OWNER_FIRST_NAME} a proactive text message. Only send truly valuable, timely updates.`,
+        `Based on ${OWNER_FIRST_NAME}'s context, projects, and goals, is there anything important or helpful you should proactively text them about today? Consider:
+- Project deadlines or milestones
+- Important reminders
+- Opportunities based on their interests
+- Check-ins on ongoing work
+
+If yes, write a brief, casual text message (2-3 sentences max). If no, just say "SKIP".
+
+Context:
+${relevantContext}`,
+        500
+      )).trim()
+
+      if (message.includes('SKIP')) return []
+      return [{ id, title: message, urgency: 0.5 }]
+    }
+  }
+}
@@ -0,0 +1,144 @@
+/**
+ * SMS Delivery
+ * Long replies are split at paragraph, then sentence, then word boundaries
+ * into numbered parts ("(1/3) ...") and sent in order with a pause between
+ * them. At most SMS_MAX_PARTS go out at once; the rest wait for the user to
+ * text "MORE". SMS_DELIVERY_MODE=more sends only the first part up front.
+ *
+ * The pending continuation is kept in the state store, so MORE still works
+ * after a restart.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { config } from './config.js'
+
+const SMS_MAX_LENGTH = config.smsMaxLength
+const SMS_MAX_PARTS = config.smsMaxParts
+const SMS_PART_DELAY_MS = config.smsPartDelayMs
+const SMS_DELIVERY_MODE = config.smsDeliveryMode
+
+const STATE_NAME = 'sms-continuation'
+const MORE_HINT = '\n\n(Reply MORE for the rest)'
+// Room for the "(12/12) " prefix and the MORE hint
+const PART_OVERHEAD = 8 + MORE_HINT.length
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+const SPLIT_LEVELS = [
+  { pattern: /\n{2,}/, separator: '\n\n' }, // paragraphs
+  { pattern: /(?<=[.!?])\s+/, separator: ' ' }, // sentences
+  { pattern: /\s+/, separator: ' ' } // words
+]
+
+// Break text into pieces no longer than `limit`, each with the separator that preceded it
+function splitPieces(text, limit, level = 0) {
+  if (text.length <= limit) {
+    return [{ text, separator: '' }]
+  }
+
+  if (level >= SPLIT_LEVELS.length) {
+    // A single word longer than a whole SMS - cut it
+    const cuts = []
+    for (let i = 0; i < text.length; i += limit) {
+      cuts.push({ text: text.substring(i, i + limit), separator: '' })
+    }
+    return cuts
+  }
+
+  const { pattern, separator } = SPLIT_LEVELS[level]
+  const pieces = []
+
+  text.split(pattern).filter(part => part.trim()).forEach((part, i) => {
+    splitPieces(part, limit, level + 1).forEach((piece, j) => {
+      pieces.push({
+        text: piece.text,
+        separator: j > 0 ? piece.separator : (i > 0 ? separator : '')
+      })
+    })
+  })
+
+  return pieces
+}
+
+/**
+ * Split `text` into numbered parts that each fit in one SMS.
+ */
+export function splitMessage(text, maxLength = SMS_MAX_LENGTH) {
+  if (text.length <= maxLength) return [text]
+
+  const limit = maxLength - PART_OVERHEAD
+  const chunks = []
+  let current = ''
+
+  for (const { text: piece, separator } of splitPieces(text.trim(), limit)) {
+    if (current && current.length + separator.length + piece.length > limit) {
+      chunks.push(current)
+      current = piece
+    } else {
+      current += (current ? separator : '') + piece
+    }
+  }
+  if (current) chunks.push(current)
+
+  return chunks.map((chunk, i) => `(${i + 1}/${chunks.length}) ${chunk}`)
+}
+
+async function sendParts(parts, send) {
+  for (let i = 0; i < parts.length; i++) {
+    if (i > 0) await sleep(SMS_PART_DELAY_MS)
+    await send(parts[i])
+  }
+}
+
+// Send up to `batchSize` parts now and park the rest for MORE
+async function sendBatch(parts, send, batchSize, stateName) {
+  const now = parts.slice(0, batchSize)
+  const later = parts.slice(batchSize)
+
+  if (later.length > 0) {
+    now[now.length - 1] += MORE_HINT
+  }
+
+  await sendParts(now, send)
+  await saveState(stateName, later.length > 0
+    ? { parts: later, createdAt: new Date().toISOString() }
+    : { parts: [] })
+
+  if (later.length > 0) {
+    console.log(`   ✂️  ${later.length} part(s) waiting for MORE`)
+  }
+}
+
+/**
+ * Deliver a message of any length through `send(text)`, which posts a single SMS.
+ * `stateName` keeps each recipient's parked parts apart.
+ */
+export async function deliverMessage(text, send, { stateName = STATE_NAME } = {}) {
+  const parts = splitMessage(text)
+
+  if (parts.length === 1) {
+    const result = await send(parts[0])
+    // A newer reply replaces any parts still waiting for MORE
+    const parked = await loadState(stateName, { parts: [] })
+    if (parked.parts.length > 0) {
+      await saveState(stateName, { parts: [] })
+    }
+    return result
+  }
+
+  console.log(`   ✂️  Splitting ${text.length} chars into ${parts.length} parts`)
+  await sendBatch(parts, send, SMS_DELIVERY_MODE === 'more' ? 1 : SMS_MAX_PARTS, stateName)
+}
+
+/**
+ * Send the next batch of a parked reply. Returns the number of parts sent
+ * (0 when nothing was waiting).
+ */
+export async function sendContinuation(send, { stateName = STATE_NAME } = {}) {
+  const { parts } = await loadState(stateName, { parts: [] })
+  if (parts.length === 0) return 0
+
+  const batch = Math.min(parts.length, SMS_MAX_PARTS)
+  await sendBatch(parts, send, SMS_MAX_PARTS, stateName)
+  return batch
+}
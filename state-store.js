@@ -0,0 +1,98 @@
+/**
+ * State Store
+ * Small JSON documents the agent needs to keep across restarts (conversation
+ * summary, schedules, counters...). Follows the conversation store choice by
+ * default so a GitHub-free setup stays GitHub-free:
+ *
+ * - github: state/<name>.json in the context repo (survives Render redeploys)
+ * - local:  DATA_DIR/<name>.json on disk
+ */
+
+import { readFile, writeFile, mkdir } from 'fs/promises'
+import { join } from 'path'
+import { readGitHubFile, writeGitHubFile } from './github.js'
+import { config } from './config.js'
+
+const STATE_STORE = config.stateStore
+const DATA_DIR = config.dataDir
+const CONTEXT_REPO = config.contextRepo
+
+// name -> { value, sha }
+const cache = new Map()
+
+function githubPath(name) {
+  return `state/${name}.json`
+}
+
+async function loadFromGitHub(name) {
+  const file = await readGitHubFile(CONTEXT_REPO, githubPath(name), null)
+  if (!file.success) {
+    if (file.status === 404) return { value: undefined, sha: null }
+    throw new Error(`Failed to load state ${name}: ${file.error}`)
+  }
+  return { value: JSON.parse(file.content), sha: file.sha }
+}
+
+async function saveToGitHub(name, value, sha) {
+  const content = JSON.stringify(value, null, 2) + '\n'
+  let result = await writeGitHubFile(CONTEXT_REPO, githubPath(name), content, `Update agent state: ${name}`, sha)
+
+  // We're the only writer - on a stale sha just take the latest one and overwrite
+  if (!result.success && (result.status === 409 || result.status === 422)) {
+    const latest = await readGitHubFile(CONTEXT_REPO, githubPath(name), null)
+    result = await writeGitHubFile(
+      CONTEXT_REPO,
+      githubPath(name),
+      content,
+      `Update agent state: ${name}`,
+      latest.success ? latest.sha : null
+    )
+  }
+
+  if (!result.success) {
+    throw new Error(`Failed to save state ${name}: ${result.error}`)
+  }
+  return result.sha
+}
+
+async function loadFromDisk(name) {
+  try {
+    return { value: JSON.parse(await readFile(join(DATA_DIR, `${name}.json`), 'utf-8')), sha: null }
+  } catch (error) {
+    if (error.code === 'ENOENT') return { value: undefined, sha: null }
+    throw new Error(`Failed to load state ${name}: ${error.message}`)
+  }
+}
+
+async function saveToDisk(name, value) {
+  await mkdir(DATA_DIR, { recursive: true })
+  await writeFile(join(DATA_DIR, `${name}.json`), JSON.stringify(value, null, 2) + '\n')
+  return null
+}
+
+/**
+ * Load a state document, or `fallback` if it has never been saved.
+ * Cached after the first read - this process is the only writer.
+ */
+export async function loadState(name, fallback = null) {
+  if (!cache.has(name)) {
+    const loaded = STATE_STORE === 'local' ? await loadFromDisk(name) : await loadFromGitHub(name)
+    cache.set(name, loaded)
+  }
+
+  const { value } = cache.get(name)
+  return value === undefined ? structuredClone(fallback) : structuredClone(value)
+}
+
+export async function saveState(name, value) {
+  const previous = cache.get(name)
+  const sha = STATE_STORE === 'local'
+    ? await saveToDisk(name, value)
+    : await saveToGitHub(name, value, previous?.sha || null)
+
+  cache.set(name, { value: structuredClone(value), sha })
+}
+
+export function getStateStoreName() {
+  return STATE_STORE
+}
@@ -0,0 +1,266 @@
+/**
+ * Local Agent Task Ledger
+ * Structured replacement for the free-form TASKS.md log. The ledger is a JSON
+ * file in the context repo shared by the cloud agent (creates, cancels, retries)
+ * and the local agent on Caleb's Mac (claims, runs, reports).
+ *
+ * Lifecycle:
+ *   pending -> claimed -> running -> completed | failed | cancelled
+ *
+ * The local agent claims a task by setting state "claimed", claimedBy and
+ * leaseExpiresAt, and keeps extending the lease while running. Tasks whose
+ * lease runs out go back to pending. Full output is written to outputRef
+ * (a path in the context repo); the ledger only keeps a short preview.
+ */
+
+import { readGitHubFile, readGitHubJson, updateGitHubJson } from './github.js'
+import { config } from './config.js'
+
+const CONTEXT_REPO = config.contextRepo
+const LEDGER_FILE = 'TASKS.json'
+
+export const TASK_STATES = ['pending', 'claimed', 'running', 'completed', 'failed', 'cancelled']
+const FINISHED_STATES = ['completed', 'failed', 'cancelled']
+
+function emptyLedger() {
+  return { version: 1, tasks: [] }
+}
+
+async function readLedger() {
+  const { value, sha } = await readGitHubJson(CONTEXT_REPO, LEDGER_FILE, emptyLedger)
+  return { ledger: value, sha }
+}
+
+// Read-modify-write with a retry when the local agent committed in between
+async function updateLedger(mutate, commitMessage, { signal } = {}) {
+  return updateGitHubJson(CONTEXT_REPO, LEDGER_FILE, mutate, commitMessage, emptyLedger, { signal })
+}
+
+function transition(task, state, by, extra = {}) {
+  const now = new Date().toISOString()
+  Object.assign(task, extra, { state, updatedAt: now })
+  task.history.push({ state, at: now, by })
+}
+
+function findTask(ledger, taskId) {
+  const task = ledger.tasks.find(t => t.id === taskId)
+  if (!task) {
+    throw new Error(`No task with id ${taskId}`)
+  }
+  return task
+}
+
+export async function createTask({ description, command = null, priority = 'normal' }, { signal } = {}) {
+  const now = new Date()
+  const task = {
+    id: `task_${now.getTime()}`,
+    description,
+    command,
+    priority,
+    state: 'pending',
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    attempts: 0,
+    claimedBy: null,
+    leaseExpiresAt: null,
+    cancelRequested: false,
+    exitCode: null,
+    outputRef: null,
+    outputPreview: null,
+    error: null,
+    finishedAt: null,
+    history: [{ state: 'pending', at: now.toISOString(), by: 'cloud' }]
+  }
+
+  await updateLedger(ledger => {
+    ledger.tasks.push(task)
+  }, `Add task: ${description.substring(0, 50)}`, { signal })
+
+  console.log(`✓ Created task: ${task.id}`)
+  return task
+}
+
+export async function getTask(taskId) {
+  const { ledger } = await readLedger()
+  return findTask(ledger, taskId)
+}
+
+export async function listTasks({ state = null, limit = 10 } = {}) {
+  const { ledger } = await readLedger()
+  return ledger.tasks
+    .filter(task => !state || task.state === state)
+    .slice(-limit)
+    .reverse()
+}
+
+export async function cancelTask(taskId) {
+  return updateLedger(ledger => {
+    const task = findTask(ledger, taskId)
+
+    if (FINISHED_STATES.includes(task.state)) {
+      throw new Error(`${taskId} is already ${task.state}`)
+    }
+
+    if (task.state === 'running') {
+      // The local agent owns a running process - ask it to stop and report back
+      task.cancelRequested = true
+      task.updatedAt = new Date().toISOString()
+    } else {
+      transition(task, 'cancelled', 'cloud', { finishedAt: new Date().toISOString(), leaseExpiresAt: null })
+    }
+
+    return task
+  }, `Cancel task ${taskId}`)
+}
+
+export async function retryTask(taskId) {
+  return updateLedger(ledger => {
+    const task = findTask(ledger, taskId)
+
+    if (task.state !== 'failed' && task.state !== 'cancelled') {
+      throw new Error(`Only failed or cancelled tasks can be retried (${taskId} is ${task.state})`)
+    }
+
+    transition(task, 'pending', 'cloud', {
+      claimedBy: null,
+      leaseExpiresAt: null,
+      cancelRequested: false,
+      exitCode: null,
+      error: null,
+      finishedAt: null
+    })
+
+    return task
+  }, `Retry task ${taskId}`)
+}
+
+// Tasks finished recently, plus any expired leases handed back to the queue
+export async function checkCompletedTasks(windowMs = 10 * 60 * 1000) {
+  try {
+    const { ledger } = await readLedger()
+    const now = Date.now()
+
+    const expired = ledger.tasks.filter(task =>
+      (task.state === 'claimed' || task.state === 'running') &&
+      task.leaseExpiresAt && new Date(task.leaseExpiresAt).getTime() < now
+    )
+
+    if (expired.length > 0) {
+      await updateLedger(latest => {
+        for (const { id } of expired) {
+          const task = findTask(latest, id)
+          if ((task.state === 'claimed' || task.state === 'running') &&
+              new Date(task.leaseExpiresAt).getTime() < Date.now()) {
+            console.log(`   ↻ Lease expired for ${id} (held by ${task.claimedBy}), returning to pending`)
+            transition(task, 'pending', 'cloud', { claimedBy: null, leaseExpiresAt: null })
+          }
+        }
+      }, `Release ${expired.length} expired task lease(s)`)
+    }
+
+    return ledger.tasks.filter(task =>
+      FINISHED_STATES.includes(task.state) &&
+      task.finishedAt && now - new Date(task.finishedAt).getTime() < windowMs
+    )
+  } catch (error) {
+    console.error('Error checking completed tasks:', error.message)
+    return []
+  }
+}
+
+export function formatTaskStatus(task) {
+  let status = `${task.id}: ${task.state}`
+  if (task.cancelRequested && task.state === 'running') status += ' (cancel requested)'
+  if (task.exitCode !== null) status += `, exit code ${task.exitCode}`
+  if (task.error) status += `, error: ${task.error}`
+  return status
+}
+
+// ============================================================================
+// TASK TOOLS - create_local_task / get_task_status for the tool loop
+// ============================================================================
+
+export function getTaskTools() {
+  return [
+    {
+      name: 'create_local_task',
+      description: `Create a task for the local agent on ${config.ownerName.split(' ')[0]}'s Mac. ONLY for things that must run locally: shell commands, local files, local git, opening Mac apps.`,
+      input_schema: {
+        type: 'object',
+        properties: {
+          description: {
+            type: 'string',
+            description: 'What the task should accomplish, in plain language'
+          },
+          command: {
+            type: 'string',
+            description: 'Shell command for the local agent to run directly, e.g. "cd ~/code/ModelLab && npm test"'
+          },
+          priority: {
+            type: 'string',
+            enum: ['high', 'normal', 'low'],
+            description: 'Task priority (default normal)'
+          }
+        },
+        required: ['description']
+      }
+    },
+    {
+      name: 'get_task_status',
+      description: 'Check on local agent tasks. Pass task_id for one task (optionally with its full output), or omit it to list recent tasks.',
+      input_schema: {
+        type: 'object',
+        properties: {
+          task_id: {
+            type: 'string',
+            description: 'The task id, e.g. "task_1737400000000"'
+          },
+          include_output: {
+            type: 'boolean',
+            description: 'Also fetch the full output file for the task'
+          },
+          state: {
+            type: 'string',
+            enum: TASK_STATES,
+            description: 'When listing, only return tasks in this state'
+          }
+        }
+      }
+    }
+  ]
+}
+
+export async function executeTaskAction(toolName, toolInput, { signal } = {}) {
+  console.log(`   🔧 Executing ${toolName}...`)
+
+  switch (toolName) {
+    case 'create_local_task': {
+      const task = await createTask({
+        description: toolInput.description,
+        command: toolInput.command || null,
+        priority: toolInput.priority || 'normal'
+      }, { signal })
+      return { taskId: task.id, state: task.state }
+    }
+
+    case 'get_task_status': {
+      if (!toolInput.task_id) {
+        return { tasks: await listTasks({ state: toolInput.state || null }) }
+      }
+
+      const task = await getTask(toolInput.task_id)
+      if (!toolInput.include_output || !task.outputRef) {
+        return { task }
+      }
+
+      const output = await readGitHubFile(CONTEXT_REPO, task.outputRef, null)
+      return {
+        task,
+        output: output.success ? output.content : `Could not read ${task.outputRef}: ${output.error}`
+      }
+    }
+
+    default:
+      throw new Error(`Unknown tool: ${toolName}`)
+  }
+}
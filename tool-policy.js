@@ -0,0 +1,141 @@
+/**
+ * Tool Policy & Confirmations
+ * Every tool runs under one of three policies:
+ *
+ * - auto:    runs as soon as the model calls it
+ * - confirm: the turn pauses and the contact gets a preview ("Send email to
+ *            X with subject Y? Reply YES/NO"); the call only runs on YES
+ * - deny:    never offered to the model, and refused if called anyway
+ *
+ * Defaults below put outward-facing and destructive tools (sending email,
+ * calendar changes, Todoist edits, GitHub commits) on confirm. TOOL_POLICIES
+ * overrides them with a JSON object of tool names or globs -> policy, e.g.
+ * {"github_write_file": "auto", "gmail_*": "deny"}. TOOL_POLICIES rules win
+ * over the defaults; within each, exact names win over globs and longer globs
+ * over shorter ones. Anything unmatched is auto. Names are case-insensitive.
+ *
+ * A paused turn is stored per contact (state "pending-action") with the
+ * conversation so far, and resumed or discarded by the contact's next
+ * message: YES runs the held calls and continues the turn, NO drops them,
+ * anything else (or waiting longer than PENDING_ACTION_TTL) discards it.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { globToRegExp } from './context-loader.js'
+import { config } from './config.js'
+
+export const TOOL_POLICIES = ['auto', 'confirm', 'deny']
+const PENDING_ACTION_TTL = 30 * 60 * 1000 // 30 minutes
+
+const DEFAULT_POLICIES = {
+  github_write_file: 'confirm',
+  todoist_update_task: 'confirm',
+  todoist_complete_task: 'confirm',
+  gmail_send_email: 'confirm',
+  googlecalendar_create_event: 'confirm',
+  googlecalendar_quick_add_event: 'confirm'
+}
+
+function compileRules(policies) {
+  return Object.entries(policies)
+    .map(([pattern, policy]) => ({
+      pattern: pattern.toLowerCase(),
+      policy,
+      isGlob: /[*?]/.test(pattern),
+      regExp: globToRegExp(pattern.toLowerCase())
+    }))
+    .sort((a, b) => a.isGlob - b.isGlob || b.pattern.length - a.pattern.length)
+}
+
+const rules = [...compileRules(config.toolPolicies || {}), ...compileRules(DEFAULT_POLICIES)]
+
+export function getToolPolicy(toolName) {
+  const name = toolName.toLowerCase()
+  const rule = rules.find(({ pattern, isGlob, regExp }) => isGlob ? regExp.test(name) : pattern === name)
+  return rule ? rule.policy : 'auto'
+}
+
+// ============================================================================
+// PREVIEWS - what the contact is asked to confirm
+// ============================================================================
+
+const clip = (text, max = 80) => {
+  const value = String(text ?? '').replace(/\s+/g, ' ').trim()
+  return value.length > max ? `${value.substring(0, max - 1)}…` : value
+}
+
+// One line per held call, in plain words where we know the tool
+export function describeToolCall({ name, input = {} }) {
+  switch (name.toLowerCase()) {
+    case 'gmail_send_email':
+      return `Send email to ${clip(input.recipient_email || input.to || 'someone')} with subject "${clip(input.subject || '(none)')}"`
+    case 'googlecalendar_create_event':
+      return `Create calendar event "${clip(input.summary || input.title || 'Untitled')}"${input.start_datetime ? ` at ${clip(input.start_datetime, 40)}` : ''}`
+    case 'googlecalendar_quick_add_event':
+      return `Add to calendar: "${clip(input.text)}"`
+    case 'github_write_file':
+      return `Commit ${clip(input.path)} to ${clip(input.repo)}${input.message ? ` ("${clip(input.message, 60)}")` : ''}`
+    case 'todoist_update_task':
+      return `Update Todoist task ${clip(input.id)}${input.content ? ` to "${clip(input.content)}"` : ''}`
+    case 'todoist_complete_task':
+      return `Complete Todoist task ${clip(input.id)}`
+    default:
+      return `Run ${name} with ${clip(JSON.stringify(input), 120)}`
+  }
+}
+
+export function formatConfirmationRequest(toolUses) {
+  if (toolUses.length === 1) {
+    return `${describeToolCall(toolUses[0])}? Reply YES/NO`
+  }
+  return `OK to do these?\n${toolUses.map((toolUse, i) => `${i + 1}. ${describeToolCall(toolUse)}`).join('\n')}\nReply YES/NO`
+}
+
+// 'yes', 'no', or null when the text isn't an answer
+export function parseConfirmationReply(text) {
+  const answer = text.trim().toLowerCase().replace(/[.!\s]+$/, '')
+  if (/^(yes|y|yep|yeah|yup|ok|okay|sure|confirm|go ahead|do it|send it)( please)?$/.test(answer)) return 'yes'
+  if (/^(no|n|nope|nah|cancel|stop|don'?t)$/.test(answer)) return 'no'
+  return null
+}
+
+// ============================================================================
+// PENDING ACTIONS - one paused turn per contact
+// ============================================================================
+
+/**
+ * Hold `toolUses` until the contact answers. `messages` is the conversation
+ * ending with the assistant message that made the calls, `results` the
+ * tool_results of the calls from that message that already ran.
+ */
+export async function savePendingAction(stateName, { messageId, messages, results, toolUses, toolCallCount }) {
+  const now = Date.now()
+  await saveState(stateName, {
+    action: {
+      messageId,
+      messages,
+      results,
+      toolUses,
+      toolCallCount,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + PENDING_ACTION_TTL).toISOString()
+    }
+  })
+}
+
+/**
+ * The pending action, if any, cleared in the same step - whatever the answer
+ * is, a held call is only ever decided once. Expired actions return null.
+ */
+export async function takePendingAction(stateName) {
+  const { action } = await loadState(stateName, { action: null })
+  if (!action) return null
+
+  await saveState(stateName, { action: null })
+
+  if (new Date(action.expiresAt).getTime() < Date.now()) {
+    console.log(`⌛ Pending action for ${action.messageId} expired`)
+    return null
+  }
+  return action
+}
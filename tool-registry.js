@@ -0,0 +1,223 @@
+/**
+ * Tool Registry
+ * Every tool Claude can call comes from a tool provider. The agent registers
+ * its built-in providers (GitHub, local tasks, memory, scheduler); outside
+ * integrations are plugins - one file each in plugins/ - so adding one never
+ * touches the tool loop.
+ *
+ * A provider is an object with:
+ *
+ * - name:          short id ("todoist"), used in logs and /status
+ * - getTools():    Claude tool schemas ({ name, description, input_schema })
+ * - execute(toolName, input, context): runs one of its tools. `context` is
+ *                  { contact, message, signal } for the turn making the call;
+ *                  `signal` is aborted when the call times out
+ * - healthCheck(): optional, throws (or returns { ok: false, detail }) when
+ *                  the integration isn't reachable
+ * - cacheTtl:      optional ms to keep getTools() results (default 1 hour,
+ *                  0 = ask every turn)
+ * - timeoutMs:     optional ms a call may take before it's reported as timed
+ *                  out (default TOOL_TIMEOUT_MS)
+ * - serialTools:   optional names of tools that change shared state; when
+ *                  Claude makes several calls at once these run one at a
+ *                  time, everything else runs in parallel. A timed-out serial
+ *                  call is reported as possibly still completing, so Claude
+ *                  doesn't repeat it
+ *
+ * A plugin file default-exports createProvider() -> provider, or null when
+ * it isn't configured (e.g. no API key). Files load in name order; a
+ * provider or tool name that's already taken is skipped with a warning.
+ */
+
+import { readdirSync, existsSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import { config } from './config.js'
+
+const __dirname = dirname(fileURLToPath(import.meta.url))
+const PLUGINS_DIR = join(__dirname, 'plugins')
+const DEFAULT_CACHE_TTL = 60 * 60 * 1000 // 1 hour
+const HEALTH_CACHE_TTL = 60 * 1000 // 1 minute
+const HEALTH_CHECK_TIMEOUT = 5000
+const TOOL_TIMEOUT = config.toolTimeoutMs
+
+const providers = []
+// Tool name -> provider, filled in as tool lists are fetched
+const toolOwners = new Map()
+// "provider/tool" pairs already warned about, so a clash is logged once
+const reportedClashes = new Set()
+
+export function registerToolProvider(provider) {
+  const problem = !provider?.name ? 'it has no name'
+    : typeof provider.getTools !== 'function' ? 'getTools() is missing'
+      : typeof provider.execute !== 'function' ? 'execute() is missing'
+        : providers.some(({ name }) => name === provider.name) ? `"${provider.name}" is already registered`
+          : null
+  if (problem) {
+    console.warn(`⚠️  Skipping tool provider: ${problem}`)
+    return false
+  }
+
+  providers.push({ ...provider, cacheTtl: provider.cacheTtl ?? DEFAULT_CACHE_TTL, tools: null, fetchedAt: 0, health: null })
+  return true
+}
+
+// Import every plugin in plugins/ and register the providers they create
+export async function loadToolPlugins(dir = PLUGINS_DIR) {
+  if (!existsSync(dir)) return []
+
+  const loaded = []
+  for (const file of readdirSync(dir).filter(file => file.endsWith('.js')).sort()) {
+    try {
+      const { default: createProvider } = await import(pathToFileURL(join(dir, file)).href)
+      if (typeof createProvider !== 'function') {
+        console.warn(`⚠️  Plugin ${file} has no default createProvider() export`)
+        continue
+      }
+
+      const provider = await createProvider()
+      if (!provider) {
+        console.log(`   ⏭️  Plugin ${file} is not configured`)
+      } else if (registerToolProvider(provider)) {
+        loaded.push(provider.name)
+      }
+    } catch (error) {
+      console.error(`   ❌ Could not load plugin ${file}:`, error.message)
+    }
+  }
+
+  console.log(`🧩 Tool plugins: ${loaded.length > 0 ? loaded.join(', ') : 'none'}`)
+  return loaded
+}
+
+export function getToolProvider(name) {
+  return providers.find(provider => provider.name === name) || null
+}
+
+// ============================================================================
+// TOOLS
+// ============================================================================
+
+async function providerTools(provider) {
+  if (provider.tools && Date.now() - provider.fetchedAt < provider.cacheTtl) {
+    return provider.tools
+  }
+
+  try {
+    provider.tools = await provider.getTools()
+    provider.fetchedAt = Date.now()
+  } catch (error) {
+    // Keep serving the last list we had, if any
+    console.error(`   ⚠️  Could not load ${provider.name} tools:`, error.message)
+    if (!provider.tools) return []
+  }
+  return provider.tools
+}
+
+// Every provider's tools, in registration order
+export async function getAllProviderTools() {
+  const lists = await Promise.all(providers.map(providerTools))
+
+  const tools = []
+  lists.forEach((list, i) => {
+    for (const tool of list) {
+      const owner = toolOwners.get(tool.name)
+      if (owner && owner !== providers[i]) {
+        const clash = `${providers[i].name}/${tool.name}`
+        if (!reportedClashes.has(clash)) {
+          reportedClashes.add(clash)
+          console.warn(`⚠️  ${providers[i].name} tool ${tool.name} is already provided by ${owner.name} - skipped`)
+        }
+        continue
+      }
+      toolOwners.set(tool.name, providers[i])
+      tools.push(tool)
+    }
+  })
+  return tools
+}
+
+// Rejects with `message` after `ms`. This doesn't stop the work itself -
+// callers abort it through an AbortSignal where the work accepts one
+async function withTimeout(promise, ms, message) {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms)
+  })
+  try {
+    return await Promise.race([promise, timeout])
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+export async function executeProviderTool(toolName, input, context = {}) {
+  // Calls resumed after a restart can arrive before any tool list was fetched
+  if (!toolOwners.has(toolName)) {
+    await getAllProviderTools()
+  }
+
+  const provider = toolOwners.get(toolName)
+  if (!provider) {
+    throw new Error(`Unknown tool: ${toolName}`)
+  }
+
+  const timeoutMs = provider.timeoutMs ?? TOOL_TIMEOUT
+  const controller = new AbortController()
+  // Providers that ignore the signal keep running - for a call that changes
+  // state, a retry could do it twice
+  const message = isSerialTool(toolName)
+    ? `${toolName} did not finish within ${timeoutMs / 1000}s and may still complete - do not call it again; tell the user it may or may not have gone through`
+    : `${toolName} timed out after ${timeoutMs / 1000}s`
+
+  try {
+    return await withTimeout(provider.execute(toolName, input, { ...context, signal: controller.signal }), timeoutMs, message)
+  } catch (error) {
+    controller.abort()
+    throw error
+  }
+}
+
+export function isSerialTool(toolName) {
+  return toolOwners.get(toolName)?.serialTools?.includes(toolName) ?? false
+}
+
+export function clearToolCaches() {
+  for (const provider of providers) {
+    provider.tools = null
+    provider.fetchedAt = 0
+  }
+}
+
+// ============================================================================
+// HEALTH
+// ============================================================================
+
+async function checkHealth(provider) {
+  if (!provider.healthCheck) return { ok: true, detail: 'no health check' }
+
+  try {
+    const result = await withTimeout(provider.healthCheck(), HEALTH_CHECK_TIMEOUT, `timed out after ${HEALTH_CHECK_TIMEOUT}ms`)
+    return { ok: result?.ok ?? true, detail: result?.detail || null }
+  } catch (error) {
+    return { ok: false, detail: error.message }
+  }
+}
+
+// Per-provider health for /status; checks are rerun at most once a minute
+export async function getToolProviderStatus() {
+  return Promise.all(providers.map(async provider => {
+    if (!provider.health || Date.now() - provider.health.checkedAt > HEALTH_CACHE_TTL) {
+      provider.health = { ...await checkHealth(provider), checkedAt: Date.now() }
+    }
+
+    return {
+      name: provider.name,
+      ok: provider.health.ok,
+      detail: provider.health.detail,
+      checkedAt: new Date(provider.health.checkedAt).toISOString(),
+      tools: provider.tools ? provider.tools.length : null,
+      toolsFetchedAt: provider.fetchedAt ? new Date(provider.fetchedAt).toISOString() : null
+    }
+  }))
+}
@@ -0,0 +1,215 @@
+/**
+ * Usage & Cost Accounting
+ * Every Claude call's tokens (input, output, cache writes, cache reads) are
+ * added up per day, per feature (reply, tool-loop, summary, proactive), per
+ * conversation and per model, and priced with the table below (USD per
+ * million tokens, overridable with MODEL_PRICES).
+ *
+ * Budgets (USD per day, in SCHEDULER_TIMEZONE):
+ * - DAILY_SOFT_BUDGET: replies switch to the small model
+ * - DAILY_HARD_BUDGET: proactive messages stop for the rest of the day too
+ *
+ * Counters are kept in memory and flushed to the state store ("usage") at
+ * most once a minute, so tracking doesn't turn every call into a commit.
+ */
+
+import { loadState, saveState } from './state-store.js'
+import { SCHEDULER_TIMEZONE } from './scheduler.js'
+import { config } from './config.js'
+
+const STATE_NAME = 'usage'
+const RETENTION_DAYS = 30
+const FLUSH_INTERVAL = 60 * 1000 // 1 minute
+
+// Matched by model id prefix, longest first
+const DEFAULT_PRICES = {
+  'claude-opus-4': { input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  'claude-sonnet-4': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-haiku-4': { input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  'claude-3-5-haiku': { input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+}
+
+const PRICES = { ...DEFAULT_PRICES, ...(config.modelPrices || {}) }
+
+let usage = null
+let usageLoading = null
+let dirty = false
+let lastFlush = 0
+
+function localDay(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: SCHEDULER_TIMEZONE })
+}
+
+function emptyCounter() {
+  return { calls: 0, input: 0, output: 0, cacheWrite: 0, cacheRead: 0, cost: 0 }
+}
+
+function priceFor(model) {
+  const key = Object.keys(PRICES)
+    .sort((a, b) => b.length - a.length)
+    .find(prefix => model.startsWith(prefix))
+  return key ? PRICES[key] : null
+}
+
+export function estimateCost(model, tokens) {
+  const price = priceFor(model)
+  if (!price) return 0
+
+  return (
+    tokens.input * price.input +
+    tokens.output * price.output +
+    tokens.cacheWrite * (price.cacheWrite ?? price.input) +
+    tokens.cacheRead * (price.cacheRead ?? price.input)
+  ) / 1e6
+}
+
+// Loaded once; concurrent first calls share the same load, and a failed
+// load is retried on the next call
+async function loadUsage() {
+  if (!usage) {
+    usageLoading = usageLoading || loadState(STATE_NAME, { days: {} }).catch(error => {
+      usageLoading = null
+      throw error
+    })
+    usage = await usageLoading
+  }
+  return usage
+}
+
+function addTo(counters, key, tokens, cost) {
+  const counter = counters[key] || (counters[key] = emptyCounter())
+  counter.calls++
+  counter.input += tokens.input
+  counter.output += tokens.output
+  counter.cacheWrite += tokens.cacheWrite
+  counter.cacheRead += tokens.cacheRead
+  counter.cost += cost
+}
+
+/**
+ * Record one API response. `usage` is the API's usage block; `feature` and
+ * `conversation` (a contact id, or null for background jobs) pick the buckets.
+ */
+export async function recordUsage({ model, usage: apiUsage, feature, conversation = null }) {
+  if (!apiUsage) return
+
+  const tokens = {
+    input: apiUsage.input_tokens || 0,
+    output: apiUsage.output_tokens || 0,
+    cacheWrite: apiUsage.cache_creation_input_tokens || 0,
+    cacheRead: apiUsage.cache_read_input_tokens || 0
+  }
+  const cost = estimateCost(model, tokens)
+
+  const state = await loadUsage()
+  const today = localDay()
+  const day = state.days[today] || (state.days[today] = {
+    total: emptyCounter(),
+    byFeature: {},
+    byConversation: {},
+    byModel: {}
+  })
+
+  addTo(day, 'total', tokens, cost)
+  addTo(day.byFeature, feature, tokens, cost)
+  addTo(day.byConversation, conversation || 'background', tokens, cost)
+  addTo(day.byModel, model, tokens, cost)
+  dirty = true
+
+  if (Date.now() - lastFlush > FLUSH_INTERVAL) {
+    await flushUsage()
+  }
+}
+
+export async function flushUsage() {
+  if (!dirty || !usage) return
+
+  // Drop days past retention
+  const cutoff = localDay(new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000))
+  for (const day of Object.keys(usage.days)) {
+    if (day < cutoff) delete usage.days[day]
+  }
+
+  dirty = false
+  lastFlush = Date.now()
+  try {
+    await saveState(STATE_NAME, usage)
+  } catch (error) {
+    dirty = true
+    console.error('⚠️  Could not save usage:', error.message)
+  }
+}
+
+/**
+ * Share of prompt tokens served from the prompt cache (0-1), or null when
+ * nothing has been sent yet. Cache writes count as misses.
+ */
+export function cacheHitRate(counter) {
+  const promptTokens = counter.input + counter.cacheWrite + counter.cacheRead
+  return promptTokens > 0 ? counter.cacheRead / promptTokens : null
+}
+
+export async function getTodayUsage() {
+  const state = await loadUsage()
+  return state.days[localDay()] || { total: emptyCounter(), byFeature: {}, byConversation: {}, byModel: {} }
+}
+
+/**
+ * Where today's spend stands against the budgets.
+ * Returns { spent, softBudget, hardBudget, overSoft, overHard }.
+ */
+export async function getBudgetStatus() {
+  const { total } = await getTodayUsage()
+  return {
+    spent: total.cost,
+    softBudget: config.dailySoftBudget || null,
+    hardBudget: config.dailyHardBudget || null,
+    overSoft: config.dailySoftBudget > 0 && total.cost >= config.dailySoftBudget,
+    overHard: config.dailyHardBudget > 0 && total.cost >= config.dailyHardBudget
+  }
+}
+
+const formatCost = cost => `$${cost.toFixed(cost < 1 ? 3 : 2)}`
+export const formatTokens = count => count >= 1000 ? `${(count / 1000).toFixed(1)}k` : String(count)
+const formatRate = rate => rate === null ? 'n/a' : `${Math.round(rate * 100)}%`
+
+function formatBreakdown(counters) {
+  return Object.entries(counters)
+    .sort(([, a], [, b]) => b.cost - a.cost)
+    .map(([name, counter]) => `• ${name}: ${formatCost(counter.cost)} (${counter.calls} calls)`)
+    .join('\n')
+}
+
+// Text for the "usage" command
+export async function formatUsageReport() {
+  const state = await loadUsage()
+  const today = await getTodayUsage()
+  const budget = await getBudgetStatus()
+  const { total } = today
+
+  const weekStart = localDay(new Date(Date.now() - 6 * 24 * 60 * 60 * 1000))
+  const weekCost = Object.entries(state.days)
+    .filter(([day]) => day >= weekStart)
+    .reduce((sum, [, day]) => sum + day.total.cost, 0)
+
+  const lines = [
+    `Usage today: ${formatCost(total.cost)} over ${total.calls} calls`,
+    `Tokens: ${formatTokens(total.input)} in, ${formatTokens(total.output)} out, ${formatTokens(total.cacheRead)} cache reads, ${formatTokens(total.cacheWrite)} cache writes`,
+    `Prompt cache hit rate: ${formatRate(cacheHitRate(total))}`
+  ]
+  if (total.calls > 0) {
+    lines.push('', 'By feature:', formatBreakdown(today.byFeature))
+    lines.push('', 'By conversation:', formatBreakdown(today.byConversation))
+  }
+  lines.push('', `Last 7 days: ${formatCost(weekCost)}`)
+
+  if (budget.softBudget || budget.hardBudget) {
+    const limits = [
+      budget.softBudget && `soft ${formatCost(budget.softBudget)}${budget.overSoft ? ' (reached - using the small model)' : ''}`,
+      budget.hardBudget && `hard ${formatCost(budget.hardBudget)}${budget.overHard ? ' (reached - small model, primary contact only, proactive texts paused)' : ''}`
+    ].filter(Boolean)
+    lines.push(`Budget: ${limits.join(', ')}`)
+  }
+
+  return lines.join('\n')
+}